@@ -11,21 +11,53 @@ var rateLimit = require('express-rate-limit');
 // Load environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const SYNC_CLIENT_ID = process.env.SYNC_CLIENT_ID;
+const SYNC_CLIENT_SECRET = process.env.SYNC_CLIENT_SECRET;
+// Deprecated: the sync job used to sign in as a user account
 const AUTH_ADMISSION_NO = process.env.AUTH_ADMISSION_NO;
 const AUTH_PASSWORD = process.env.AUTH_PASSWORD;
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+const NOTICE_SCHEDULER_INTERVAL = parseInt(process.env.NOTICE_SCHEDULER_INTERVAL, 10) || 60000;
+const REMINDER_CHECK_INTERVAL = parseInt(process.env.REMINDER_CHECK_INTERVAL, 10) || 15 * 60 * 1000;
+// How often to try MongoDB again once the first attempts fail and the app is running offline
+const OFFLINE_RECONNECT_INTERVAL = parseInt(process.env.OFFLINE_RECONNECT_INTERVAL, 10) || 30000;
 
 // Import routes
 const usersRouter = require('./routes/users');
 const quoteRoutes = require('./routes/quotes');
 const AuthSyncService = require('./authSyncService');
+const NoticeScheduler = require('./noticeScheduler');
+const ReminderService = require('./reminderService');
 const noticesRoutes = require('./routes/notices');
 const reportsRoutes = require('./routes/reports');
 const authRoutes = require('./routes/auth');
 const mediaRoutes = require('./routes/media');
+const searchRoutes = require('./routes/search');
+const noticeTemplateRoutes = require('./routes/noticeTemplates');
+const studentRoutes = require('./routes/students');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const syncRoutes = require('./routes/sync');
+const offlineRoutes = require('./routes/offline');
+const { backfillSyncFields } = require('./deltaSync');
+const { OfflineJournal, isDatabaseOnline } = require('./offlineJournal');
+const { principalLabel } = require('./middleware/auth');
+const { defaultChannelName } = require('./notificationChannels');
+const { getSmsChannel } = require('./otp');
+
+// Refuse to start without a notification channel outside development, rather than dropping texts
+defaultChannelName();
+getSmsChannel();
 
 const app = express();
 
+// Writes accepted while MongoDB is down, replayed once it is back
+const offlineJournal = new OfflineJournal({
+    path: process.env.OFFLINE_JOURNAL_PATH,
+    onReplayComplete: (results) => console.log('Offline journal replayed:', results),
+    onReplayError: (error) => console.error('Offline journal replay error:', error)
+});
+app.set('offlineJournal', offlineJournal);
+
 // Security middleware
 app.use(helmet());
 
@@ -41,7 +73,11 @@ app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
 // Middleware
-app.use(logger(NODE_ENV === 'development' ? 'dev' : 'combined'));
+// Request logs name the caller, so sync traffic shows up as service:<name>
+logger.token('principal', principalLabel);
+app.use(logger(NODE_ENV === 'development'
+    ? ':method :url :status :response-time ms - :res[content-length] :principal'
+    : `${logger.combined} :principal`));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
@@ -60,12 +96,21 @@ app.use('/api/quote', quoteRoutes);
 app.use('/api/notices', noticesRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/media', mediaRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notice-templates', noticeTemplateRoutes);
+app.use('/api/students', studentRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/offline', offlineRoutes);
 app.use('/users', usersRouter);
 
 // Health check with basic system info
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+    const journal = await offlineJournal.getStatus().catch(() => null);
     res.status(200).json({
         status: 'ok',
+        database: isDatabaseOnline() ? 'online' : 'offline',
+        queuedWrites: journal ? journal.queued : null,
         timestamp: new Date().toISOString(),
         uptime: process.uptime()
     });
@@ -91,21 +136,59 @@ async function connectWithRetry(retries = 10, delay = 10000) {
     return false;
 }
 
+// Replay the offline journal whenever the connection comes back after a drop
+mongoose.connection.on('disconnected', () => {
+    console.warn('Lost connection to MongoDB, queuing writes in the offline journal');
+});
+mongoose.connection.on('reconnected', () => {
+    offlineJournal.replay().catch(() => {});
+});
+
 // Application initialization
 
 async function initializeApp() {
     try {
-        await connectWithRetry();
+        try {
+            await connectWithRetry();
+        } catch (err) {
+            // Serve from the local copies and journal writes until MongoDB can be reached
+            console.error('Could not connect to MongoDB, running offline:', err.message);
+            await connectWithRetry(Infinity, OFFLINE_RECONNECT_INTERVAL);
+        }
+
+        // Writes queued while offline go in before anything else touches the data
+        await offlineJournal.replay().catch(() => {});
+
+        const backfilled = await backfillSyncFields();
+        if (Object.values(backfilled).some(count => count > 0)) {
+            console.log('Prepared existing records for delta sync:', backfilled);
+        }
+
+        const noticeScheduler = new NoticeScheduler({
+            checkInterval: NOTICE_SCHEDULER_INTERVAL,
+            onRunError: (error) => console.error('Notice scheduler error:', error)
+        });
+        app.set('noticeScheduler', noticeScheduler);
+        noticeScheduler.start();
+
+        const reminderService = new ReminderService({
+            checkInterval: REMINDER_CHECK_INTERVAL,
+            onRunError: (error) => console.error('Reminder service error:', error)
+        });
+        reminderService.start();
 
         const syncService = new AuthSyncService({
             serverUrl: SERVER_URL,
             credentials: {
+                clientId: SYNC_CLIENT_ID,
+                clientSecret: SYNC_CLIENT_SECRET,
                 admissionNo: AUTH_ADMISSION_NO,
                 password: AUTH_PASSWORD
             },
             onSyncComplete: (results) => console.log('Sync completed:', results),
             onSyncError: (error) => console.error('Sync error:', error)
         });
+        app.set('syncService', syncService);
 
         const started = await syncService.start();
         if (!started) {
@@ -113,8 +196,8 @@ async function initializeApp() {
             // Continue running the app even if sync service fails
         }
     } catch (err) {
-        //console.error('Fatal error during initialization:', err);
-        process.exit(1);
+        // Keep serving: reads fall back to the local copies and writes to the offline journal
+        console.error('Error during initialization:', err);
     }
 }
 
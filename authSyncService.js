@@ -1,6 +1,21 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { SyncRun, SyncRunStatus, SyncRunTrigger } = require('./models/SyncRun');
+const { readLocalDeletions, clearLocalDeletions } = require('./localData');
+
+// Collections kept in step with the server, and the local file key each one lives under
+const SYNC_COLLECTIONS = ['notices', 'reports', 'media'];
+const PUSH_BATCH_SIZE = 200;
+const PULL_PAGE_SIZE = 200;
+// Failed changes recorded per collection in a run's history
+const MAX_RECORDED_FAILURES = 20;
+// Re-authenticate this long before the access token expires
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+
+// Fields the server owns; they are ignored when deciding whether a local record changed
+const SERVER_FIELDS = ['_id', 'id', '__v', 'version', 'updatedAt', 'syncSeq'];
 
 class AuthSyncService {
     constructor(config) {
@@ -9,7 +24,10 @@ class AuthSyncService {
             checkInterval: config.checkInterval || 30000,
             retryDelay: config.retryDelay || 60000,
             maxRetries: config.maxRetries || 5,
+            // Service account client credentials. admissionNo/password login is the deprecated fallback.
             credentials: {
+                clientId: config.credentials.clientId,
+                clientSecret: config.credentials.clientSecret,
                 admissionNo: config.credentials.admissionNo,
                 password: config.credentials.password
             },
@@ -21,6 +39,12 @@ class AuthSyncService {
         this.syncInterval = null;
         this.retryCount = 0;
         this.accessToken = null;
+        this.tokenExpiresAt = null;
+
+        // Paused services keep their token but skip the interval; runNow() still works
+        this.paused = false;
+        this.currentRun = null;
+        this.lastRun = null;
         
         this.localPaths = {
             notices: path.join(__dirname, 'local_notices.json'),
@@ -28,6 +52,9 @@ class AuthSyncService {
 	    media: path.join(__dirname, 'local_media.json') 
         };
 
+        // Last cursor and the version/hash of every record as of the last sync, per collection
+        this.statePath = config.statePath || path.join(__dirname, 'sync_state.json');
+
         // Add cleanup handler
         process.on('SIGTERM', () => this.stop());
         process.on('SIGINT', () => this.stop());
@@ -43,16 +70,30 @@ class AuthSyncService {
 
     async authenticate() {
         try {
-            const response = await axios.post(`${this.config.serverUrl}/auth/login`, {
-                admissionNo: this.config.credentials.admissionNo,
-                password: this.config.credentials.password
-            });
+            const { clientId, clientSecret, admissionNo, password } = this.config.credentials;
+            let response;
+
+            if (clientId && clientSecret) {
+                response = await axios.post(`${this.config.serverUrl}/auth/token`, {
+                    grant_type: 'client_credentials',
+                    client_id: clientId,
+                    client_secret: clientSecret
+                });
+            } else {
+                console.warn('Sync is signing in as a user account; configure SYNC_CLIENT_ID/SYNC_CLIENT_SECRET instead');
+                response = await axios.post(`${this.config.serverUrl}/auth/login`, {
+                    admissionNo,
+                    password
+                });
+            }
 
             if (!response?.data?.success || !response?.data?.data?.accessToken) {
                 throw new Error('Invalid authentication response');
             }
 
             this.accessToken = response.data.data.accessToken;
+            const { expiresIn } = response.data.data;
+            this.tokenExpiresAt = expiresIn ? Date.now() + expiresIn * 1000 : null;
             console.log('Authentication successful');
             return true;
         } catch (error) {
@@ -75,10 +116,7 @@ class AuthSyncService {
             }
 
             await this.checkConnectionAndSync();
-            
-            this.syncInterval = setInterval(() => {
-                this.checkConnectionAndSync();
-            }, this.config.checkInterval);
+            this.startInterval();
 
             return true;
         } catch (error) {
@@ -87,11 +125,72 @@ class AuthSyncService {
         }
     }
 
-    async stop() {
+    startInterval() {
+        if (this.syncInterval || this.paused) {
+            return;
+        }
+        this.syncInterval = setInterval(() => {
+            this.checkConnectionAndSync();
+        }, this.config.checkInterval);
+    }
+
+    stopInterval() {
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
             this.syncInterval = null;
         }
+    }
+
+    // Stop the interval loop without signing out; a run in progress finishes
+    pause() {
+        this.paused = true;
+        this.stopInterval();
+        console.log('Auth-sync service paused');
+    }
+
+    resume() {
+        this.paused = false;
+        this.startInterval();
+        console.log('Auth-sync service resumed');
+    }
+
+    getStatus() {
+        return {
+            running: Boolean(this.syncInterval),
+            paused: this.paused,
+            syncing: this.isSyncing(),
+            online: this.isOnline,
+            authenticated: Boolean(this.accessToken),
+            checkInterval: this.config.checkInterval,
+            retryCount: this.retryCount,
+            currentRun: this.currentRun,
+            lastRun: this.lastRun
+        };
+    }
+
+    isSyncing() {
+        return Boolean(this.currentRun);
+    }
+
+    // Sync straight away, outside the interval. Resolves with the saved run, failed runs included.
+    async runNow(triggeredBy = null) {
+        if (this.currentRun) {
+            throw new Error('A sync is already running');
+        }
+        if (!this.accessToken && !(await this.authenticate())) {
+            throw new Error('Sync service could not authenticate');
+        }
+
+        try {
+            await this.syncData(SyncRunTrigger.MANUAL, triggeredBy);
+        } catch (error) {
+            // Already recorded on the run
+        }
+        return this.lastRun;
+    }
+
+    async stop() {
+        this.stopInterval();
         this.accessToken = null;
         this.isOnline = false;
         this.retryCount = 0;
@@ -99,6 +198,10 @@ class AuthSyncService {
     }
 
     async checkConnectionAndSync() {
+        if (this.paused || this.currentRun) {
+            return;
+        }
+
         try {
             const response = await axios.get(
                 `${this.config.serverUrl}/api/health`,
@@ -141,24 +244,37 @@ class AuthSyncService {
             }
         }
     }
-    async syncData() {
+    // Push local changes, then pull server changes, for every collection. Only deltas travel:
+    // records whose content hash is unchanged since the last sync are not sent.
+    // Every run is saved as a SyncRun for /api/sync/status and /api/sync/history.
+    async syncData(trigger = SyncRunTrigger.INTERVAL, triggeredBy = null) {
         if (!this.accessToken) {
             throw new Error('Not authenticated');
         }
+        if (this.currentRun) {
+            throw new Error('A sync is already running');
+        }
+
+        this.currentRun = { trigger, startedAt: new Date() };
+        const run = await this.recordRunStart(trigger, triggeredBy);
 
         try {
-            // Add detailed logging
             console.log('Starting sync operation...');
-            
-            const results = {
-                notices: await this.syncNotices(),
-                reports: await this.syncReports(),
-		media: await this.syncMedia()
-            };
 
-            // Log detailed results
-            //console.log('Detailed sync results:', JSON.stringify(results, null, 2));
-            
+            if (this.tokenExpiresAt && Date.now() > this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+                await this.authenticate();
+            }
+
+            const state = await this.loadState();
+            const results = {};
+
+            for (const collection of SYNC_COLLECTIONS) {
+                results[collection] = await this.syncCollection(collection, state);
+                // Save after each collection so a later failure doesn't lose the cursor
+                await this.saveState(state);
+            }
+
+            await this.recordRunEnd(run, results);
             this.config.onSyncComplete(results);
             this.retryCount = 0;
             
@@ -167,46 +283,104 @@ class AuthSyncService {
             console.error('Sync failed:', {
                 message: error.message
             });
+            await this.recordRunEnd(run, {}, error);
             this.config.onSyncError(error);
             throw error;
+        } finally {
+            this.currentRun = null;
         }
     }
 
-   async syncNotices() {
+    // Saving history must never stop a sync, so failures here are only logged
+    async recordRunStart(trigger, triggeredBy) {
         try {
-            console.log('Reading local notices file...');
-            const localData = await this.readLocalFile(this.localPaths.notices);
-            const notices = localData.notices || [];
-            
-            if (notices.length === 0) {
-                return { status: 'skipped', message: 'No local notices to sync' };
-            }
-
-            // Remove any existing id/_id fields, let MongoDB generate new ones
-            const transformedNotices = notices.map(notice => {
-                const { id, _id, ...noticeData } = notice;
-                return noticeData;
-            });
+            return await SyncRun.create({ trigger, triggeredBy, startedAt: this.currentRun.startedAt });
+        } catch (error) {
+            console.error('Error saving sync run:', error.message);
+            return new SyncRun({ trigger, triggeredBy, startedAt: this.currentRun.startedAt });
+        }
+    }
 
-            const response = await axios.post(
-                `${this.config.serverUrl}/api/notices/sync-local`,
-                { notices: transformedNotices },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 10000
+    async recordRunEnd(run, results, error = null) {
+        const collections = Object.entries(results).map(([name, result]) => (
+            result.status === 'success'
+                ? {
+                    name,
+                    status: result.status,
+                    created: result.pushed.created,
+                    updated: result.pushed.updated,
+                    deleted: result.pushed.deleted,
+                    skipped: result.pushed.unchanged,
+                    conflict: result.pushed.conflict,
+                    failed: result.pushed.failed,
+                    pulled: result.pulled,
+                    cursor: result.cursor,
+                    failures: result.failures.length > 0 ? result.failures : undefined
                 }
-            );
+                : {
+                    name,
+                    status: result.status,
+                    error: result.error,
+                    failures: result.details ? [result.details] : undefined
+                }
+        ));
+
+        const failedCollections = collections.filter(collection => collection.status !== 'success').length;
+        let status = SyncRunStatus.SUCCESS;
+        if (error || (collections.length > 0 && failedCollections === collections.length)) {
+            status = SyncRunStatus.FAILED;
+        } else if (failedCollections > 0 || collections.some(collection => collection.failed > 0)) {
+            status = SyncRunStatus.PARTIAL;
+        }
+
+        const finishedAt = new Date();
+        run.set({
+            status,
+            finishedAt,
+            durationMs: finishedAt - run.startedAt,
+            collections,
+            error: error ? error.message : null
+        });
+
+        try {
+            await run.save();
+        } catch (saveError) {
+            console.error('Error saving sync run:', saveError.message);
+        }
+        this.lastRun = run.toObject();
+    }
+
+    async syncCollection(collection, state) {
+        const collectionState = state[collection] || (state[collection] = { cursor: null, records: {} });
+
+        try {
+            const records = await this.readLocalRecords(collection);
+            // Local edits aren't timestamped, so the file's mtime stands in for last-writer-wins
+            const modifiedAt = await this.localModifiedAt(collection);
+            if (this.assignUuids(records)) {
+                // Written straight away so a retried push after a failure reuses the same uuids
+                await this.writeLocalRecords(collection, records);
+            }
+            const deletions = (await readLocalDeletions())[collection] || [];
+            const pushed = await this.pushChanges(collection, records, collectionState, modifiedAt, deletions);
+            await clearLocalDeletions(collection, pushed.processedDeletions);
+            const pulled = await this.pullChanges(collection, records, collectionState);
+
+            if (pushed.changed || pulled.changed) {
+                await this.writeLocalRecords(collection, records);
+            }
 
-            //console.log('Sync response:', response.data);
             return {
                 status: 'success',
-                synced: response.data.data
+                pushed: pushed.summary,
+                pulled: pulled.count,
+                cursor: collectionState.cursor,
+                failures: pushed.failures
             };
         } catch (error) {
-            console.error('Notice sync failed:', error);
+            console.error(`${collection} sync failed:`, {
+                message: error.message
+            });
             return {
                 status: 'error',
                 error: error.message,
@@ -215,117 +389,307 @@ class AuthSyncService {
         }
     }
 
-    async syncReports() {
-    try {
-        console.log('Reading local reports file...');
-        const localData = await this.readLocalFile(this.localPaths.reports);
-        const reports = localData.reports || [];
-        
-        console.log(`Found ${reports.length} local reports to sync`);
-        
-        if (reports.length === 0) {
-            return { status: 'skipped', message: 'No local reports to sync' };
+    // Every record gets a uuid the first time it is seen, which identifies it to the server
+    // until it has an id and keeps it from being created twice.
+    assignUuids(records) {
+        let assigned = false;
+        for (const record of records) {
+            if (!record.uuid) {
+                record.uuid = crypto.randomUUID();
+                assigned = true;
+            }
         }
+        return assigned;
+    }
 
-        // Remove any existing id/_id fields, let MongoDB generate new ones
-        const transformedReports = reports.map(report => { 
-            const { id, _id, ...reportData } = report;
-            return reportData;
-        });
+    // Local copies written by the update-local routes carry _id rather than id
+    recordId(record) {
+        if (record.id) return record.id;
+        return record._id ? String(record._id) : null;
+    }
+
+    // Server id of a record known only by its uuid so far
+    knownIdForUuid(collectionState, uuid) {
+        if (!uuid) return null;
+        const entry = Object.entries(collectionState.records).find(([, known]) => known.uuid === uuid);
+        return entry ? entry[0] : null;
+    }
 
-        //console.log('Sending transformed reports to server:', 
-            //JSON.stringify(transformedReports[0], null, 2)); // Log first report as example
-
-        const response = await axios.post(
-            `${this.config.serverUrl}/api/reports/sync-local`,
-            { reports: transformedReports },
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
+    findLocalRecord(records, { id, uuid }) {
+        return records.find(record => (id && this.recordId(record) === id) || (uuid && record.uuid === uuid)) || null;
+    }
+
+    // Send new and edited local records, and the deletions recorded in local_deletions.json.
+    // A record missing from the local copy is never sent as a delete: the file may have been
+    // lost or rewritten. Returns the deletions the server has dealt with.
+    async pushChanges(collection, records, collectionState, modifiedAt, deletions = []) {
+        const changes = [];
+        const targets = [];
+        const localIds = new Set();
+        const localUuids = new Set();
+        const processedDeletions = [];
+
+        for (const record of records) {
+            const id = this.recordId(record) || this.knownIdForUuid(collectionState, record.uuid);
+            if (id) localIds.add(id);
+            if (record.uuid) localUuids.add(record.uuid);
+
+            const known = id && collectionState.records[id];
+            if (known && known.hash === this.hashRecord(record)) {
+                continue;
             }
-        );
 
-        //console.log('Server response:', JSON.stringify(response.data, null, 2));
+            changes.push(id
+                ? {
+                    op: 'upsert',
+                    id,
+                    uuid: record.uuid,
+                    baseVersion: record.version,
+                    record,
+                    modifiedAt,
+                    ...(known && known.fields && { changedFields: this.changedFields(known.fields, record) })
+                }
+                : { op: 'upsert', uuid: record.uuid, record, modifiedAt });
+            targets.push({ record });
+        }
+
+        for (const deletion of deletions) {
+            const id = deletion.id || this.knownIdForUuid(collectionState, deletion.uuid);
+            // Written again since it was deleted; the local copy wins
+            if ((id && localIds.has(id)) || (deletion.uuid && localUuids.has(deletion.uuid))) {
+                processedDeletions.push(deletion);
+                continue;
+            }
 
-        return {
-            status: 'success',
-            synced: response.data.data
+            const known = id && collectionState.records[id];
+            changes.push({
+                op: 'delete',
+                ...(id && { id }),
+                ...(deletion.uuid && { uuid: deletion.uuid }),
+                ...(known && { baseVersion: known.version }),
+                modifiedAt: deletion.deletedAt || modifiedAt
+            });
+            targets.push({ id, deletion });
+        }
+
+        const summary = { total: changes.length, created: 0, updated: 0, unchanged: 0, deleted: 0, conflict: 0, failed: 0 };
+        const failures = [];
+        let changed = false;
+
+        for (let start = 0; start < changes.length; start += PUSH_BATCH_SIZE) {
+            const batch = changes.slice(start, start + PUSH_BATCH_SIZE);
+            // Derived from the batch, so resending the same batch after a lost response is replayed
+            const idempotencyKey = crypto.createHash('sha256')
+                .update(`${collection}:${JSON.stringify(batch)}`)
+                .digest('hex');
+
+            const response = await axios.post(
+                `${this.config.serverUrl}/api/sync/${collection}/changes`,
+                { changes: batch },
+                { headers: { ...this.authHeaders(), 'Idempotency-Key': idempotencyKey }, timeout: 30000 }
+            );
+
+            for (const result of response.data.data.results) {
+                const target = targets[start + result.index];
+                summary[result.status] = (summary[result.status] || 0) + 1;
+                if (result.status === 'failed' && failures.length < MAX_RECORDED_FAILURES) {
+                    failures.push({ id: result.id || (target.record && target.record.uuid) || null, error: result.error });
+                }
+                changed = this.applyPushResult(records, collectionState, target, result) || changed;
+                if (target.deletion && result.status !== 'failed') {
+                    processedDeletions.push(target.deletion);
+                }
+            }
+        }
+
+        return { changed, summary, failures, processedDeletions };
+    }
+
+    // Returns true when the local records were modified
+    applyPushResult(records, collectionState, target, result) {
+        switch (result.status) {
+            case 'created':
+            case 'updated':
+            case 'unchanged': {
+                // A merged record comes back whole, since it no longer matches the local copy
+                const record = result.record
+                    ? this.replaceLocalRecord(records, target.record, result.record)
+                    : Object.assign(target.record, { id: result.id, version: result.version });
+                collectionState.records[result.id] = this.recordState(record, result.version);
+                return true;
+            }
+            case 'deleted':
+                delete collectionState.records[result.id || target.id];
+                return false;
+            case 'conflict': {
+                const id = result.id || (target.record && this.recordId(target.record)) || target.id;
+                const local = this.findLocalRecord(records, { id, uuid: result.uuid });
+                if (result.record) {
+                    const record = this.replaceLocalRecord(records, local, result.record);
+                    collectionState.records[id] = this.recordState(record, result.version);
+                } else {
+                    // Deleted on the server
+                    if (local) {
+                        records.splice(records.indexOf(local), 1);
+                    }
+                    delete collectionState.records[id];
+                }
+                console.warn(result.conflictId
+                    ? `Sync conflict on ${id || result.uuid} queued for review (${result.conflictId}), kept the server copy for now`
+                    : `Sync conflict on ${id || result.uuid}, kept the server copy`);
+                return true;
+            }
+            default:
+                console.error('Sync change failed:', result.error);
+                return false;
+        }
+    }
+
+    // Fetch every change after the saved cursor and apply it to the local records
+    async pullChanges(collection, records, collectionState) {
+        let changed = false;
+        let count = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+            const response = await axios.get(
+                `${this.config.serverUrl}/api/sync/${collection}/changes`,
+                {
+                    params: {
+                        ...(collectionState.cursor && { cursor: collectionState.cursor }),
+                        limit: PULL_PAGE_SIZE
+                    },
+                    headers: this.authHeaders(),
+                    timeout: 30000
+                }
+            );
+            const page = response.data.data;
+
+            for (const change of page.changes) {
+                // A record created here whose push response was lost is matched by its uuid
+                const local = this.findLocalRecord(records, change);
+
+                if (change.op === 'delete') {
+                    if (local) {
+                        records.splice(records.indexOf(local), 1);
+                    }
+                    delete collectionState.records[change.id];
+                } else {
+                    const record = this.replaceLocalRecord(records, local, change.record);
+                    collectionState.records[change.id] = this.recordState(record, change.version);
+                }
+
+                changed = true;
+                count++;
+            }
+
+            collectionState.cursor = page.cursor;
+            hasMore = page.hasMore;
+        }
+
+        return { changed, count };
+    }
+
+    replaceLocalRecord(records, local, serverRecord) {
+        const record = { ...serverRecord, id: serverRecord.id || serverRecord._id };
+        const index = local ? records.indexOf(local) : -1;
+        if (index >= 0) {
+            records[index] = record;
+        } else {
+            records.push(record);
+        }
+        return record;
+    }
+
+    // sha256 of a value's JSON with keys sorted, so key order doesn't matter
+    hashValue(value) {
+        const stable = (item) => {
+            if (Array.isArray(item)) {
+                return item.map(stable);
+            }
+            if (item && typeof item === 'object') {
+                return Object.keys(item).sort().reduce((sorted, key) => {
+                    sorted[key] = stable(item[key]);
+                    return sorted;
+                }, {});
+            }
+            return item;
         };
-    } catch (error) {
-        console.error('Report sync failed:', {
-            message: error.message
-        });
-        return {
-            status: 'error',
-            error: error.message
 
+        return crypto.createHash('sha256').update(JSON.stringify(stable(value)) || '').digest('hex');
+    }
+
+    // Content hash with server-owned fields left out
+    hashRecord(record) {
+        const content = { ...record };
+        SERVER_FIELDS.forEach(field => delete content[field]);
+        return this.hashValue(content);
+    }
+
+    // What is remembered about a record after a sync: its version, a hash of the whole record,
+    // and one per top-level field so the fields changed locally can be named for a merge
+    recordState(record, version) {
+        const fields = {};
+        for (const [field, value] of Object.entries(record)) {
+            if (!SERVER_FIELDS.includes(field)) {
+                fields[field] = this.hashValue(value);
+            }
+        }
+        return { version, uuid: record.uuid || null, hash: this.hashRecord(record), fields };
+    }
+
+    changedFields(knownFields, record) {
+        const current = this.recordState(record).fields;
+        const names = new Set([...Object.keys(knownFields), ...Object.keys(current)]);
+        return [...names].filter(name => knownFields[name] !== current[name]);
+    }
+
+    async localModifiedAt(collection) {
+        try {
+            return (await fs.stat(this.localPaths[collection])).mtime.toISOString();
+        } catch (error) {
+            return new Date().toISOString();
+        }
+    }
+
+    authHeaders() {
+        return {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
         };
     }
-}
+
+    async readLocalRecords(collection) {
+        const data = await this.readLocalFile(this.localPaths[collection]);
+        return data[collection] || [];
+    }
+
+    async writeLocalRecords(collection, records) {
+        await fs.writeFile(this.localPaths[collection], JSON.stringify({ [collection]: records }, null, 2));
+    }
 
     async readLocalFile(filePath) {
         try {
-            //console.log(`Reading local file: ${filePath}`);
             const data = await fs.readFile(filePath, 'utf8');
-            const parsedData = JSON.parse(data);
-        /*    console.log(`Successfully read local file. Found ${
-                (parsedData.notices || []).length} notices and ${
-                (parsedData.reports || []).length} reports`);*/
-            return parsedData;
+            return JSON.parse(data);
         } catch (error) {
             if (error.code === 'ENOENT') {
-                //console.log(`No local file found at ${filePath}, returning empty data`);
-                return { notices: [], reports: [] };
+                return {};
             }
             console.error(`Error reading local file ${filePath}:`, error);
             throw error;
         }
     }
 
-   async syncMedia() {
-    try {
-        //console.log('Reading local media file...');
-        const localData = await this.readLocalFile(this.localPaths.media);
-        const media = localData.media || [];
-        
-        if (media.length === 0) {
-            return { status: 'skipped', message: 'No local media to sync' };
-        }
-
-        // Remove any existing id/_id fields
-        const transformedMedia = media.map(item => {
-            const { id, _id, ...mediaData } = item;
-            return mediaData;
-        });
-
-        const response = await axios.post(
-            `${this.config.serverUrl}/api/media/sync-local`,
-            { media: transformedMedia },
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            }
-        );
+    async loadState() {
+        const state = await this.readLocalFile(this.statePath);
+        return state || {};
+    }
 
-//console.log('Media sync response:', response.data);
-        return {
-            status: 'success'
-        };
-    } catch (error) {
-        console.error('Media sync failed:', error);
-        return {
-            status: 'error',
-            error: error.message
-        };
+    async saveState(state) {
+        await fs.writeFile(this.statePath, JSON.stringify(state, null, 2));
     }
 }
-}
 
 
 module.exports = AuthSyncService;
@@ -0,0 +1,142 @@
+const { NoticeStatus, NoticePriority } = require('./models/Notice');
+
+const CALENDAR_NAME = 'St. Joseph Academy Notices';
+const UID_DOMAIN = 'notices.stjosephacademy';
+
+// Reminder alarms fire at this hour (floating local time) on the reminder date
+const REMINDER_HOUR = 9;
+
+// iCalendar PRIORITY: 1 is highest, 9 is lowest
+const ICS_PRIORITY = {
+    [NoticePriority.URGENT]: 1,
+    [NoticePriority.HIGH]: 3,
+    [NoticePriority.NORMAL]: 5,
+    [NoticePriority.LOW]: 9
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        if (currentBytes + charBytes > 75) {
+            parts.push(current);
+            current = ' ';
+            currentBytes = 1;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+}
+
+// YYYY-MM-DD -> YYYYMMDD
+function formatDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+}
+
+// DTEND is exclusive for all-day events, so the event ends the day after dateToEnd
+function nextDay(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().split('T')[0];
+}
+
+// Trigger relative to DTSTART (midnight of dateFromStart) that fires on the reminder date
+function reminderTrigger(reminderDate, dateFromStart) {
+    const daysBefore = Math.round(
+        (Date.parse(`${dateFromStart}T00:00:00Z`) - Date.parse(`${reminderDate}T00:00:00Z`)) / 86400000
+    );
+    const hours = daysBefore * 24 - REMINDER_HOUR;
+    return hours > 0 ? `-PT${hours}H` : `PT${-hours}H`;
+}
+
+function buildAlarm(notice, reminderDate) {
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`Reminder: ${notice.title}`)}`,
+        `TRIGGER:${reminderTrigger(reminderDate, notice.eventSchedule.dateFromStart)}`,
+        'END:VALARM'
+    ];
+}
+
+function buildEvent(notice, stamp) {
+    const { noticeInfo = {}, eventSchedule } = notice;
+    const id = notice.id || notice._id.toString();
+    const details = Array.isArray(noticeInfo.noticeDetails)
+        ? noticeInfo.noticeDetails.join('\n')
+        : noticeInfo.noticeDetails;
+    const isCancelled = notice.status === NoticeStatus.CANCELLED;
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(eventSchedule.dateFromStart)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDay(eventSchedule.dateToEnd))}`,
+        `SUMMARY:${escapeText(notice.title)}`,
+        `DESCRIPTION:${escapeText(details)}`,
+        `LOCATION:${escapeText(noticeInfo.organisationAddress)}`,
+        `CATEGORIES:${escapeText(noticeInfo.noticeType)}`,
+        `PRIORITY:${ICS_PRIORITY[notice.priority] || ICS_PRIORITY[NoticePriority.NORMAL]}`,
+        `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    // No alarms for cancelled events
+    if (!isCancelled) {
+        for (const reminderDate of eventSchedule.reminderDates || []) {
+            lines.push(...buildAlarm(notice, reminderDate));
+        }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Build a VCALENDAR document from notices with an event schedule. Local copies may hold records
+// without an id yet; they are left out, as an event needs a stable UID.
+function buildCalendar(notices) {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//St. Joseph Academy//Notice API//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${CALENDAR_NAME}`
+    ];
+
+    for (const notice of notices) {
+        if (!(notice.id || notice._id) ||
+            !notice.eventSchedule || !notice.eventSchedule.dateFromStart || !notice.eventSchedule.dateToEnd) {
+            continue;
+        }
+        lines.push(...buildEvent(notice, stamp));
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const { Notice, NoticePriority, NoticeStatus } = require('./models/Notice');
+const Report = require('./models/Report');
+const Media = require('./models/Media');
+const SyncTombstone = require('./models/SyncTombstone');
+const SyncCounter = require('./models/SyncCounter');
+const { SyncPolicy, ConflictPolicy } = require('./models/SyncPolicy');
+const { SyncConflict, SyncConflictStatus, SyncConflictResolution } = require('./models/SyncConflict');
+const { principalLabel } = require('./middleware/auth');
+
+const DEFAULT_CHANGES_LIMIT = 100;
+const MAX_CHANGES_LIMIT = 500;
+const MAX_PUSH_CHANGES = 500;
+
+// Fields the server owns; clients can send them back but they are never applied
+const SERVER_FIELDS = ['_id', 'id', '__v', 'version', 'updatedAt', 'syncSeq'];
+
+// Result of applying one pushed change
+const ChangeStatus = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    DELETED: 'deleted',
+    CONFLICT: 'conflict',
+    FAILED: 'failed'
+};
+
+// Collections that take part in delta sync. prepare() fills defaults and tags the write.
+const SYNC_COLLECTIONS = {
+    notices: {
+        Model: Notice,
+        prepare: (doc, fields, req) => {
+            if (doc.isNew) {
+                doc.set({
+                    priority: fields.priority || NoticePriority.NORMAL,
+                    status: fields.status || NoticeStatus.ACTIVE,
+                    audience: fields.audience || { isSchoolWide: false },
+                    attachments: fields.attachments || []
+                });
+            }
+            doc.$locals.editedBy = req.user.id;
+            doc.$locals.source = req.syncSource || 'sync';
+        }
+    },
+    reports: {
+        Model: Report,
+        prepare: () => {}
+    },
+    media: {
+        Model: Media,
+        prepare: () => {}
+    }
+};
+
+class SyncError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SyncError';
+        this.status = status;
+    }
+}
+
+function getSyncCollection(name) {
+    const config = SYNC_COLLECTIONS[name];
+    if (!config) {
+        throw new SyncError(`Unknown sync collection. Allowed: ${Object.keys(SYNC_COLLECTIONS).join(', ')}`, 404);
+    }
+    return config;
+}
+
+function toSyncRecord(doc) {
+    const record = doc.toObject();
+    record.id = record._id.toString();
+    delete record.__v;
+    return record;
+}
+
+function stripServerFields(record) {
+    const fields = { ...record };
+    SERVER_FIELDS.forEach(field => delete fields[field]);
+    return fields;
+}
+
+// Cursors are the syncSeq of the last change a client has seen; no cursor means "from the start"
+function parseCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+        return 0;
+    }
+    const seq = Number(cursor);
+    if (!Number.isInteger(seq) || seq < 0) {
+        throw new SyncError('Invalid cursor');
+    }
+    return seq;
+}
+
+/**
+ * Changes to a collection after the cursor, oldest first: upserts carry the current record,
+ * deletes carry the tombstone. Returns { changes, cursor, hasMore }; pass cursor back next time.
+ */
+async function getChanges(name, { cursor, limit } = {}) {
+    const { Model } = getSyncCollection(name);
+    const after = parseCursor(cursor);
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_CHANGES_LIMIT, MAX_CHANGES_LIMIT);
+
+    // Stop below any write still in flight, so a change with a lower seq than one the client has
+    // seen can't commit later and be skipped by its cursor
+    const upTo = await SyncCounter.safeSeq(name);
+    const range = { $gt: after, $lte: upTo };
+
+    const [docs, tombstones] = await Promise.all([
+        Model.find({ syncSeq: range }).sort({ syncSeq: 1 }).limit(pageSize + 1),
+        SyncTombstone.find({ collectionName: name, syncSeq: range }).sort({ syncSeq: 1 }).limit(pageSize + 1)
+    ]);
+
+    const merged = [
+        ...docs.map(doc => ({
+            op: 'upsert',
+            id: doc._id.toString(),
+            uuid: doc.uuid,
+            version: doc.version,
+            seq: doc.syncSeq,
+            record: toSyncRecord(doc)
+        })),
+        ...tombstones.map(tombstone => ({
+            op: 'delete',
+            id: tombstone.recordId,
+            uuid: tombstone.uuid,
+            version: tombstone.version,
+            seq: tombstone.syncSeq,
+            deletedAt: tombstone.deletedAt
+        }))
+    ].sort((a, b) => a.seq - b.seq);
+
+    const changes = merged.slice(0, pageSize);
+    return {
+        changes,
+        cursor: String(changes.length ? changes[changes.length - 1].seq : after),
+        hasMore: merged.length > pageSize
+    };
+}
+
+// Records are identified by server id or, for records the server has not confirmed yet, by the
+// uuid the client generated. Never by their content.
+async function findSyncedRecord(Model, id, uuid) {
+    if (id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new SyncError('Invalid record id');
+        }
+        return Model.findById(id);
+    }
+    return uuid ? Model.findOne({ uuid: String(uuid).toLowerCase() }) : null;
+}
+
+function findTombstone(name, id, uuid) {
+    return SyncTombstone.findOne({
+        collectionName: name,
+        ...(id ? { recordId: String(id) } : { uuid: String(uuid).toLowerCase() })
+    }).sort({ syncSeq: -1 });
+}
+
+function parseModifiedAt(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+function pickFields(fields, names) {
+    return names.reduce((picked, name) => {
+        if (name in fields) picked[name] = fields[name];
+        return picked;
+    }, {});
+}
+
+// Which side a conflict goes to under a policy: 'server', 'client', 'merge' or 'manual'
+function pickConflictWinner(policy, change, doc, tombstone) {
+    switch (policy) {
+        case ConflictPolicy.CLIENT_WINS:
+            return 'client';
+        case ConflictPolicy.LAST_WRITER_WINS: {
+            // Without a client timestamp there is nothing to compare, so the server copy stays
+            const clientTime = parseModifiedAt(change.modifiedAt);
+            const serverTime = doc ? doc.updatedAt : tombstone.deletedAt;
+            return clientTime && (!serverTime || clientTime >= serverTime) ? 'client' : 'server';
+        }
+        case ConflictPolicy.MERGE:
+            // Needs the fields the client changed and a server copy to merge them into
+            return doc && change.op === 'upsert' && Array.isArray(change.changedFields) ? 'merge' : 'manual';
+        case ConflictPolicy.MANUAL:
+            return 'manual';
+        default:
+            return 'server';
+    }
+}
+
+// Write a change that is cleared to go ahead. fields is null for deletes.
+async function writeChange(config, doc, change, fields, req) {
+    const { Model, prepare } = config;
+
+    if (change.op === 'delete') {
+        if (doc) {
+            // Tags the DELETE revision of notices
+            doc.$locals.editedBy = req.user.id;
+            doc.$locals.source = req.syncSource || 'sync';
+            await doc.deleteOne();
+        }
+        return {
+            status: ChangeStatus.DELETED,
+            id: doc ? doc._id.toString() : change.id || null,
+            uuid: doc ? doc.uuid : change.uuid || null
+        };
+    }
+
+    if (doc) {
+        doc.set(fields);
+        if (!doc.isModified()) {
+            return { status: ChangeStatus.UNCHANGED, id: doc._id.toString(), uuid: doc.uuid, version: doc.version };
+        }
+    } else {
+        doc = new Model({
+            ...fields,
+            ...(change.id && { _id: change.id }),
+            ...(change.uuid && { uuid: change.uuid })
+        });
+    }
+
+    const isNew = doc.isNew;
+    prepare(doc, fields, req);
+    await doc.save();
+
+    return {
+        status: isNew ? ChangeStatus.CREATED : ChangeStatus.UPDATED,
+        id: doc._id.toString(),
+        uuid: doc.uuid,
+        version: doc.version
+    };
+}
+
+// The record changed on the server (doc) or was deleted there (tombstone) since the version the
+// change was based on. The collection's conflict policy decides what happens; with server-wins
+// and manual the server copy is returned and the client should adopt it.
+async function settleConflict(name, config, { doc, tombstone, change, fields }, req) {
+    const policy = await SyncPolicy.conflictPolicyFor(name);
+    const winner = pickConflictWinner(policy, change, doc, tombstone);
+
+    const serverResult = {
+        status: ChangeStatus.CONFLICT,
+        policy,
+        id: doc ? doc._id.toString() : change.id || (tombstone && tombstone.recordId) || null,
+        uuid: doc ? doc.uuid : change.uuid || null,
+        version: doc ? doc.version : null,
+        record: doc ? toSyncRecord(doc) : null
+    };
+
+    if (winner === 'server') {
+        return serverResult;
+    }
+
+    if (winner === 'manual') {
+        const conflict = await SyncConflict.create({
+            collectionName: name,
+            recordId: serverResult.id,
+            uuid: serverResult.uuid,
+            op: change.op,
+            baseVersion: change.baseVersion ?? null,
+            serverVersion: serverResult.version,
+            serverRecord: serverResult.record,
+            clientRecord: fields,
+            changedFields: change.changedFields,
+            clientModifiedAt: parseModifiedAt(change.modifiedAt),
+            source: req.syncSource || 'sync',
+            raisedBy: principalLabel(req)
+        });
+        return { ...serverResult, conflictId: conflict._id.toString() };
+    }
+
+    if (winner === 'merge') {
+        const result = await writeChange(config, doc, change, pickFields(fields, change.changedFields), req);
+        // The merged record differs from what the client holds, so send it back
+        return { ...result, policy, record: toSyncRecord(doc) };
+    }
+
+    return { ...(await writeChange(config, doc, change, fields, req)), policy };
+}
+
+// Apply one pushed change. Updates and deletes should name the version they were based on;
+// if the server has moved on since, the change is a conflict settled by the collection's policy.
+// For last-writer-wins and merge, changes can also carry modifiedAt and changedFields.
+async function applyChange(name, config, change, req) {
+    const { op, id, baseVersion, record } = change || {};
+    const uuid = change && (change.uuid || (record && record.uuid)) || null;
+
+    if (!id && !uuid) {
+        throw new SyncError('Each change needs an id or a uuid');
+    }
+    if (op !== 'delete' && (op !== 'upsert' || !record || typeof record !== 'object')) {
+        throw new SyncError('Each change needs op "upsert" with a record, or op "delete" with an id or uuid');
+    }
+
+    let fields = null;
+    if (op === 'upsert') {
+        fields = stripServerFields(record);
+        // A record's uuid is fixed once it exists
+        delete fields.uuid;
+    }
+
+    const target = { ...change, id, uuid };
+    const doc = await findSyncedRecord(config.Model, id, uuid);
+
+    if (!doc) {
+        if (op === 'delete') {
+            return { status: ChangeStatus.DELETED, id: id || null, uuid };
+        }
+        const tombstone = await findTombstone(name, id, uuid);
+        if (tombstone) {
+            // Deleted on the server while the client was editing it
+            return settleConflict(name, config, { doc: null, tombstone, change: target, fields }, req);
+        }
+    } else if (baseVersion !== undefined && baseVersion !== doc.version) {
+        return settleConflict(name, config, { doc, tombstone: null, change: target, fields }, req);
+    }
+
+    return writeChange(config, doc, target, fields, req);
+}
+
+// Legacy sync-local uploads carry no base version, so a record that differs from the server
+// copy is treated as a conflict and settled by the collection's policy like any other.
+// last-writer-wins compares the record's own updatedAt (or modifiedAt) with the server's.
+async function applyLegacyRecord(name, doc, record, req) {
+    const config = getSyncCollection(name);
+    const fields = stripServerFields(record);
+    delete fields.uuid;
+
+    // Compare on a copy; the server document must stay untouched if the server copy wins
+    const probe = config.Model.hydrate(doc.toObject());
+    probe.set(fields);
+    if (!probe.isModified()) {
+        return { status: ChangeStatus.UNCHANGED, id: doc._id.toString(), uuid: doc.uuid, version: doc.version };
+    }
+
+    const change = {
+        op: 'upsert',
+        id: doc._id.toString(),
+        uuid: doc.uuid,
+        record,
+        modifiedAt: record.modifiedAt || record.updatedAt
+    };
+    return settleConflict(name, config, { doc, tombstone: null, change, fields }, { user: req.user, syncSource: 'legacy' });
+}
+
+// Entry for the sync-local results list when an upload matched an existing record
+function toLegacySyncResult(result, label) {
+    if (result.status === ChangeStatus.UNCHANGED) {
+        return { id: result.id, status: 'skipped', message: `${label} already exists` };
+    }
+    if (result.status === ChangeStatus.CONFLICT) {
+        return {
+            id: result.id,
+            status: 'conflict',
+            message: result.conflictId
+                ? `${label} changed on both sides, queued for review`
+                : `${label} changed on both sides, kept the server copy`,
+            ...(result.conflictId && { conflictId: result.conflictId })
+        };
+    }
+    return { id: result.id, status: 'updated', message: `${label} updated from the upload` };
+}
+
+// Settle a queued manual conflict. Refuses when the record changed again since the conflict
+// was raised, unless forced, so an admin never overwrites an edit they haven't seen.
+async function resolveConflict(conflict, resolution, customRecord, req, { force = false } = {}) {
+    const config = getSyncCollection(conflict.collectionName);
+
+    if (conflict.status !== SyncConflictStatus.OPEN) {
+        throw new SyncError('Conflict is already resolved', 409);
+    }
+
+    const doc = await findSyncedRecord(config.Model, conflict.recordId, conflict.uuid);
+    const currentVersion = doc ? doc.version : null;
+    if (!force && currentVersion !== conflict.serverVersion) {
+        throw new SyncError('The record changed again since the conflict was raised; review it or pass force', 409);
+    }
+
+    let result = { status: ChangeStatus.UNCHANGED, id: conflict.recordId, uuid: conflict.uuid, version: currentVersion };
+
+    if (resolution !== SyncConflictResolution.SERVER) {
+        const op = resolution === SyncConflictResolution.CLIENT ? conflict.op : 'upsert';
+        let fields = null;
+        if (op === 'upsert') {
+            fields = stripServerFields(resolution === SyncConflictResolution.CLIENT ? conflict.clientRecord : customRecord);
+            delete fields.uuid;
+        }
+
+        result = await writeChange(config, doc, { op, id: conflict.recordId, uuid: conflict.uuid }, fields, {
+            user: req.user,
+            syncSource: 'conflict-resolution'
+        });
+    }
+
+    conflict.set({
+        status: SyncConflictStatus.RESOLVED,
+        resolution,
+        resolvedBy: req.user.id,
+        resolvedAt: new Date(),
+        resolvedVersion: result.version ?? null
+    });
+    await conflict.save();
+
+    return result;
+}
+
+/**
+ * Apply a batch of pushed changes in order. Results line up with the changes by index.
+ */
+async function applyChanges(name, changes, req) {
+    const config = getSyncCollection(name);
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+        throw new SyncError('changes must be a non-empty array');
+    }
+    if (changes.length > MAX_PUSH_CHANGES) {
+        throw new SyncError(`At most ${MAX_PUSH_CHANGES} changes can be pushed at once`);
+    }
+
+    const results = [];
+    for (const [index, change] of changes.entries()) {
+        try {
+            results.push({ index, ...(await applyChange(name, config, change, req)) });
+        } catch (error) {
+            results.push({ index, status: ChangeStatus.FAILED, id: change && change.id || null, error: error.message });
+        }
+    }
+
+    const summary = Object.values(ChangeStatus).reduce((counts, status) => {
+        counts[status] = results.filter(result => result.status === status).length;
+        return counts;
+    }, { total: changes.length });
+
+    return { results, summary };
+}
+
+// Number legacy records so the first pull includes them
+async function backfillSyncFields() {
+    const counts = {};
+    for (const [name, { Model }] of Object.entries(SYNC_COLLECTIONS)) {
+        counts[name] = await Model.backfillSyncFields();
+    }
+    return counts;
+}
+
+module.exports = {
+    SYNC_COLLECTIONS,
+    ChangeStatus,
+    SyncError,
+    getChanges,
+    applyChanges,
+    applyLegacyRecord,
+    toLegacySyncResult,
+    resolveConflict,
+    backfillSyncFields
+};
@@ -0,0 +1,145 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Notice } = require('./models/Notice');
+
+// Paths to the local JSON copies used when the server or database is unavailable
+const LOCAL_PATHS = {
+    notices: path.join(__dirname, 'local_notices.json'),
+    reports: path.join(__dirname, 'local_reports.json'),
+    media: path.join(__dirname, 'local_media.json')
+};
+
+// Records deleted locally and not yet pushed by the sync service, per collection. A record missing
+// from a local copy is never taken as deleted; only the deletions listed here are sent.
+const LOCAL_DELETIONS_PATH = path.join(__dirname, 'local_deletions.json');
+
+// Rewrite local_notices.json from the database so edits and deletions reach the offline copy
+async function refreshLocalNotices() {
+    const notices = await Notice.find().sort({ 'eventSchedule.dateCreated': -1 });
+    const localNotices = notices.map(notice => {
+        const noticeObj = notice.toObject();
+        return {
+            ...noticeObj,
+            id: noticeObj._id.toString()
+        };
+    });
+
+    await fs.writeFile(LOCAL_PATHS.notices, JSON.stringify({ notices: localNotices }, null, 2));
+    return localNotices;
+}
+
+// Refresh the local copy after a change without failing the operation that made it
+async function refreshLocalNoticesSafely() {
+    try {
+        await refreshLocalNotices();
+    } catch (error) {
+        console.error('Local Notices Refresh Error:', error);
+    }
+}
+
+// Records in a local copy, [] when the file doesn't exist yet
+async function readLocalRecords(collection) {
+    try {
+        const data = JSON.parse(await fs.readFile(LOCAL_PATHS[collection], 'utf8'));
+        return data[collection] || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Local copies hold the server id, or only the uuid for records queued while offline
+function findLocalRecord(records, id) {
+    return records.find(record => record.id === id || record._id === id || record.uuid === id) || null;
+}
+
+// Writes to the local copies are chained so concurrent changes don't overwrite each other
+let localWrites = Promise.resolve();
+
+function chainLocalWrite(fn) {
+    const write = localWrites.then(fn);
+    localWrites = write.catch(() => {});
+    return write;
+}
+
+async function readLocalDeletions() {
+    try {
+        return JSON.parse(await fs.readFile(LOCAL_DELETIONS_PATH, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+async function appendLocalDeletion(collection, { id, uuid }) {
+    if (!id && !uuid) {
+        return;
+    }
+    const deletions = await readLocalDeletions();
+    deletions[collection] = [
+        ...(deletions[collection] || []),
+        { id: id ? String(id) : null, uuid: uuid || null, deletedAt: new Date().toISOString() }
+    ];
+    await fs.writeFile(LOCAL_DELETIONS_PATH, JSON.stringify(deletions, null, 2));
+}
+
+// Note a record deleted here so the sync service pushes the deletion
+function recordLocalDeletion(collection, record) {
+    return chainLocalWrite(() => appendLocalDeletion(collection, record));
+}
+
+// Drop deletions the server has processed
+function clearLocalDeletions(collection, processed) {
+    if (processed.length === 0) {
+        return Promise.resolve();
+    }
+    return chainLocalWrite(async () => {
+        const deletions = await readLocalDeletions();
+        deletions[collection] = (deletions[collection] || []).filter(deletion => !processed.some(done =>
+            done.id === deletion.id && done.uuid === deletion.uuid && done.deletedAt === deletion.deletedAt));
+        await fs.writeFile(LOCAL_DELETIONS_PATH, JSON.stringify(deletions, null, 2));
+    });
+}
+
+// Apply a delta sync style change ({ op: 'upsert', id?, uuid?, record } or { op: 'delete', id?, uuid? })
+// to a local copy, so reads made while the database is offline include writes queued meanwhile
+function applyLocalChange(collection, change) {
+    return chainLocalWrite(async () => {
+        const records = await readLocalRecords(collection);
+        const index = records.findIndex(record =>
+            (change.id && (record.id === change.id || record._id === change.id)) ||
+            (change.uuid && record.uuid === change.uuid));
+
+        if (change.op === 'delete') {
+            const deleted = index >= 0 ? records[index] : {};
+            await appendLocalDeletion(collection, {
+                id: change.id || deleted.id || deleted._id,
+                uuid: change.uuid || deleted.uuid
+            });
+            if (index >= 0) records.splice(index, 1);
+        } else if (index >= 0) {
+            records[index] = change.record;
+        } else {
+            records.push(change.record);
+        }
+
+        await fs.writeFile(LOCAL_PATHS[collection], JSON.stringify({ [collection]: records }, null, 2));
+    });
+}
+
+module.exports = {
+    LOCAL_PATHS,
+    LOCAL_DELETIONS_PATH,
+    refreshLocalNotices,
+    refreshLocalNoticesSafely,
+    readLocalRecords,
+    findLocalRecord,
+    applyLocalChange,
+    readLocalDeletions,
+    recordLocalDeletion,
+    clearLocalDeletions
+};
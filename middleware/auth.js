@@ -0,0 +1,187 @@
+const jwt = require('jsonwebtoken');
+const { UserRole } = require('../models/User');
+const { ServiceAccount } = require('../models/ServiceAccount');
+
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy";
+const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+
+// Role given to service account principals. It has no role permissions: a service token can
+// only do what its scopes allow, and only on routes that use authenticateTokenOrService.
+const SERVICE_ROLE = 'service';
+
+// Permissions granted to each role. Admins are allowed everything.
+const ROLE_PERMISSIONS = {
+    [UserRole.STUDENT]: [],
+    [UserRole.PARENT]: [],
+    [UserRole.TEACHER]: [
+        'notices:write',
+        'notices:stats',
+        'templates:manage',
+        'media:write',
+        'reports:write'
+    ],
+    [UserRole.ADMIN]: ['*']
+};
+
+// Matches the Kotlin BaseApiResponse format
+const errorResponse = (message, error) => ({
+    success: false,
+    type: "Error",
+    message,
+    data: null,
+    ...(error && process.env.NODE_ENV === 'development' && { error })
+});
+
+// Access tokens carry everything req.user needs, so requests don't hit the database.
+// sid is the refresh token family (the signed-in device) the token was issued to. audiences are
+// the students whose notices the user receives, so notice feeds can be served while offline.
+function generateAccessToken(user, sessionId = null) {
+    return jwt.sign(
+        { id: user._id, admissionNo: user.admissionNo, role: user.role, sid: sessionId, audiences: user.noticeAudiences() },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+}
+
+// Service tokens name the account and the secret version they were issued for
+function generateServiceToken(serviceAccount) {
+    return jwt.sign(
+        {
+            type: SERVICE_ROLE,
+            sa: serviceAccount._id,
+            name: serviceAccount.name,
+            scopes: serviceAccount.scopes,
+            ver: serviceAccount.secretVersion
+        },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+    );
+}
+
+// Accepts "Authorization: Bearer <token>" and, for older clients, a bare token
+function extractToken(req) {
+    const header = req.headers['authorization'];
+    if (!header) return null;
+
+    const parts = header.trim().split(/\s+/);
+    if (parts.length === 2 && /^Bearer$/i.test(parts[0])) return parts[1];
+    if (parts.length === 1) return parts[0];
+    return null;
+}
+
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Verify the bearer token, sending a 401 and returning null when it is missing or invalid
+function verifyAccessToken(req, res) {
+    const token = extractToken(req);
+
+    if (!token) {
+        res.status(401).json(errorResponse('Access token is required'));
+        return null;
+    }
+
+    try {
+        return jwt.verify(token, ACCESS_TOKEN_SECRET);
+    } catch (error) {
+        const message = error instanceof jwt.TokenExpiredError
+            ? 'Access token has expired'
+            : 'Invalid access token';
+        res.status(401).json(errorResponse(message, error.message));
+        return null;
+    }
+}
+
+function setUserPrincipal(req, decoded) {
+    req.user = {
+        id: decoded.id,
+        admissionNo: decoded.admissionNo || null,
+        role: decoded.role || UserRole.STUDENT,
+        sessionId: decoded.sid || null,
+        audiences: decoded.audiences || null
+    };
+}
+
+// Verify the access token and set req.user = { id, admissionNo, role, sessionId, audiences }.
+// Service account tokens are refused here.
+function authenticateToken(req, res, next) {
+    const decoded = verifyAccessToken(req, res);
+    if (!decoded) return;
+
+    if (decoded.type === SERVICE_ROLE) {
+        return res.status(403).json(errorResponse('Service accounts cannot access this endpoint'));
+    }
+
+    setUserPrincipal(req, decoded);
+    next();
+}
+
+// Like authenticateToken, but also accepts service account tokens. Service principals have
+// id: null and req.user.serviceAccount = { id, name }. The account is re-checked on every
+// request so rotating or disabling it takes effect immediately.
+async function authenticateTokenOrService(req, res, next) {
+    const decoded = verifyAccessToken(req, res);
+    if (!decoded) return;
+
+    if (decoded.type !== SERVICE_ROLE) {
+        setUserPrincipal(req, decoded);
+        return next();
+    }
+
+    try {
+        const account = await ServiceAccount.findById(decoded.sa);
+        if (!account || !account.active || account.secretVersion !== decoded.ver) {
+            return res.status(401).json(errorResponse('Service account credentials have been revoked'));
+        }
+
+        req.user = {
+            id: null,
+            admissionNo: null,
+            role: SERVICE_ROLE,
+            sessionId: null,
+            serviceAccount: { id: account._id.toString(), name: account.name },
+            scopes: account.scopes
+        };
+        next();
+    } catch (error) {
+        res.status(500).json(errorResponse('Error verifying service account', error.message));
+    }
+}
+
+// Route middleware: authorize('notices:write'). Must run after authenticateToken.
+// Service principals are checked against their scopes instead of a role.
+function authorize(permission) {
+    return (req, res, next) => {
+        const allowed = req.user && (req.user.role === SERVICE_ROLE
+            ? (req.user.scopes || []).includes(permission)
+            : hasPermission(req.user.role, permission));
+
+        if (allowed) {
+            return next();
+        }
+
+        return res.status(403).json(errorResponse('You do not have permission to perform this action'));
+    };
+}
+
+// Label for logs: "service:<name>" for service accounts, "user:<id>" otherwise
+function principalLabel(req) {
+    if (!req.user) return '-';
+    return req.user.serviceAccount ? `service:${req.user.serviceAccount.name}` : `user:${req.user.id}`;
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    SERVICE_ROLE,
+    ACCESS_TOKEN_EXPIRY_SECONDS,
+    generateAccessToken,
+    generateServiceToken,
+    authenticateToken,
+    authenticateTokenOrService,
+    authorize,
+    hasPermission,
+    principalLabel
+};
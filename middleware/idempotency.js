@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { IdempotencyKey, IdempotencyStatus } = require('../models/IdempotencyKey');
+const { isDatabaseOnline } = require('../offlineJournal');
+
+const MAX_KEY_LENGTH = 255;
+
+// Matches the Kotlin BaseApiResponse format
+const errorResponse = (message, error) => ({
+    success: false,
+    type: "Error",
+    message,
+    data: null,
+    ...(error && process.env.NODE_ENV === 'development' && { error })
+});
+
+function principalKey(user) {
+    return user.serviceAccount ? `service:${user.serviceAccount.id}` : `user:${user.id}`;
+}
+
+function hashRequest(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+// Keys are stored in MongoDB. While it is offline, writes go to the offline journal instead,
+// which remembers the key of each queued write, so a retry gets the queued write back.
+async function replayQueuedWrite(req, res, next, idempotency) {
+    const journal = req.app.get('offlineJournal');
+
+    try {
+        const entry = await journal.findByIdempotencyKey(idempotency.principal, idempotency.key);
+        if (!entry) {
+            req.idempotency = { ...idempotency, path: req.originalUrl };
+            return next();
+        }
+        if (entry.idempotency.requestHash !== idempotency.requestHash) {
+            return res.status(422).json(errorResponse('Idempotency-Key was already used for a different request'));
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(202).json({
+            success: true,
+            type: "Success",
+            message: 'Write already queued while the database is offline',
+            data: journal.toResponseData(entry)
+        });
+    } catch (error) {
+        res.status(500).json(errorResponse('Error checking idempotency key', error.message));
+    }
+}
+
+// Route middleware for POSTs that create things. Must run after authentication.
+// A request carrying an Idempotency-Key header runs once; retries with the same key and body get
+// the stored response back with Idempotent-Replayed: true. Requests without the header are untouched.
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json(errorResponse(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const principal = principalKey(req.user);
+    const requestHash = hashRequest(req);
+    let record;
+
+    if (!isDatabaseOnline()) {
+        return replayQueuedWrite(req, res, next, { key, principal, requestHash });
+    }
+
+    try {
+        record = await IdempotencyKey.create({
+            key,
+            principal,
+            method: req.method,
+            path: req.originalUrl,
+            requestHash
+        });
+    } catch (error) {
+        if (error.code !== 11000) {
+            return res.status(500).json(errorResponse('Error checking idempotency key', error.message));
+        }
+
+        const existing = await IdempotencyKey.findOne({ key, principal }).catch(() => null);
+        if (!existing) {
+            // Expired or released between the insert and the lookup; the client can simply retry
+            return res.status(409).json(errorResponse('Idempotency key is being reused, please retry'));
+        }
+        if (existing.requestHash !== requestHash) {
+            return res.status(422).json(errorResponse('Idempotency-Key was already used for a different request'));
+        }
+        if (existing.status === IdempotencyStatus.IN_PROGRESS) {
+            res.set('Retry-After', '1');
+            return res.status(409).json(errorResponse('A request with this Idempotency-Key is still being processed'));
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before sending it, so a retry that arrives right after sees it.
+    // Server errors are not stored: the request didn't take effect and may be retried.
+    let captured = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        captured = true;
+        res.json = json;
+
+        const saved = res.statusCode >= 500
+            ? IdempotencyKey.deleteOne({ _id: record._id })
+            : IdempotencyKey.updateOne({ _id: record._id }, {
+                status: IdempotencyStatus.COMPLETED,
+                responseStatus: res.statusCode,
+                responseBody: body
+            });
+
+        saved
+            .catch(error => console.error('Error saving idempotency key:', error))
+            .finally(() => json(body));
+        return res;
+    };
+
+    // Responses that aren't JSON can't be replayed; free the key instead
+    res.on('finish', () => {
+        if (!captured) {
+            IdempotencyKey.deleteOne({ _id: record._id })
+                .catch(error => console.error('Error releasing idempotency key:', error));
+        }
+    });
+
+    next();
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Enum for Audit Actions
+const AuditAction = {
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    PHONE_CHANGED: 'PHONE_CHANGED',
+    SESSION_REVOKED: 'SESSION_REVOKED',
+    SERVICE_ACCOUNT_CREATED: 'SERVICE_ACCOUNT_CREATED',
+    SERVICE_ACCOUNT_UPDATED: 'SERVICE_ACCOUNT_UPDATED',
+    SERVICE_ACCOUNT_ROTATED: 'SERVICE_ACCOUNT_ROTATED',
+    SERVICE_TOKEN_ISSUED: 'SERVICE_TOKEN_ISSUED',
+    SERVICE_TOKEN_DENIED: 'SERVICE_TOKEN_DENIED'
+};
+
+// Append-only record of security-relevant events
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: Object.values(AuditAction),
+        required: true
+    },
+    // Account the event is about. admissionNo is kept even when no user has it.
+    admissionNo: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Who caused the event; null when the server did it on its own
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Set instead of actor when a service account (e.g. the sync job) caused the event
+    serviceAccount: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ServiceAccount',
+        default: null
+    },
+    // Human-readable principal, e.g. "user:<id>" or "service:<name>"
+    principal: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ admissionNo: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Write an audit entry from a request context. serviceAccount is { id, name } and defaults to the
+// service account making the request, if any. Auditing must never break the request itself.
+auditLogSchema.statics.record = async function(action, { admissionNo = null, user = null, actor = null, serviceAccount = null, req = null, details = {} } = {}) {
+    serviceAccount = serviceAccount || (req && req.user && req.user.serviceAccount) || null;
+
+    try {
+        return await this.create({
+            action,
+            admissionNo,
+            user,
+            actor,
+            serviceAccount: serviceAccount ? serviceAccount.id : null,
+            principal: serviceAccount
+                ? `service:${serviceAccount.name}`
+                : (actor ? `user:${actor}` : null),
+            ip: req ? req.ip : null,
+            userAgent: req ? req.get('user-agent') || null : null,
+            details
+        });
+    } catch (error) {
+        console.error(`Failed to write audit entry ${action}:`, error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    AuditLog: mongoose.model('AuditLog', auditLogSchema),
+    AuditAction
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const IdempotencyStatus = {
+    IN_PROGRESS: 'in-progress',
+    COMPLETED: 'completed'
+};
+
+// How long a key is remembered. Retries after this run the request again.
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// The outcome of a POST sent with an Idempotency-Key header, so a retry of the same request gets
+// the original response instead of running again. Keys are scoped to the caller.
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    principal: {
+        type: String,  // "user:<id>" or "service:<id>"
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    requestHash: {
+        type: String,  // Reusing a key with a different request is an error, not a replay
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(IdempotencyStatus),
+        default: IdempotencyStatus.IN_PROGRESS
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60
+    }
+});
+
+idempotencyKeySchema.index({ key: 1, principal: 1 }, { unique: true });
+
+module.exports = {
+    IdempotencyKey: mongoose.model('IdempotencyKey', idempotencyKeySchema),
+    IdempotencyStatus,
+    IDEMPOTENCY_KEY_TTL_HOURS
+};
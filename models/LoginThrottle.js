@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// Failed-login limits, tracked per account identifier rather than per IP
+const LOGIN_THROTTLE = {
+    FREE_ATTEMPTS: 3,                      // Failures allowed before delays kick in
+    BASE_DELAY_MS: 2 * 1000,               // First delay, doubled on every further failure
+    MAX_DELAY_MS: 60 * 1000,
+    LOCK_THRESHOLD: 10,                    // Failures that lock the account
+    LOCK_DURATION_MS: 15 * 60 * 1000,
+    FAILURE_WINDOW_MS: 60 * 60 * 1000      // Failures older than this are forgotten
+};
+
+// One record per login identifier (admission number, or phone for guardians) that has failed
+// to log in. Unknown identifiers are tracked too, so responses don't reveal which accounts exist.
+const loginThrottleSchema = new mongoose.Schema({
+    identifier: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    failedCount: {
+        type: Number,  // Attempts since the last success, counted when each attempt is reserved
+        default: 0
+    },
+    lastFailedAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    // Whether the last reserveAttempt() went through
+    lastAttemptAllowed: {
+        type: Boolean,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Records are only useful while failures are recent or a lock is running
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Delay required after the given number of failures, 0 while still within the free attempts
+function delayFor(failedCount) {
+    if (failedCount < LOGIN_THROTTLE.FREE_ATTEMPTS) {
+        return 0;
+    }
+    const delay = LOGIN_THROTTLE.BASE_DELAY_MS * Math.pow(2, failedCount - LOGIN_THROTTLE.FREE_ATTEMPTS);
+    return Math.min(delay, LOGIN_THROTTLE.MAX_DELAY_MS);
+}
+
+// Reserve a login attempt. Every attempt is counted here, before the password is checked, in one
+// atomic update that also applies the lock and the progressive delay; a burst of parallel
+// requests therefore can't all get past a check before any failure is recorded. A successful
+// login clears the count again. Returns { allowed, locked, retryAfterMs }.
+loginThrottleSchema.statics.reserveAttempt = async function(identifier) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - LOGIN_THROTTLE.FAILURE_WINDOW_MS);
+
+    const failedCount = { $ifNull: ['$failedCount', 0] };
+    const inWindow = { $gt: ['$lastFailedAt', windowStart] };
+    const delay = {
+        $cond: [
+            { $lt: [failedCount, LOGIN_THROTTLE.FREE_ATTEMPTS] },
+            0,
+            {
+                $min: [
+                    { $multiply: [LOGIN_THROTTLE.BASE_DELAY_MS, { $pow: [2, { $subtract: [failedCount, LOGIN_THROTTLE.FREE_ATTEMPTS] }] }] },
+                    LOGIN_THROTTLE.MAX_DELAY_MS
+                ]
+            }
+        ]
+    };
+
+    const record = await this.findOneAndUpdate(
+        { identifier },
+        [
+            {
+                $set: {
+                    lastAttemptAllowed: {
+                        $and: [
+                            { $not: [{ $gt: ['$lockedUntil', now] }] },
+                            { $or: [{ $not: [inWindow] }, { $lte: [{ $add: ['$lastFailedAt', delay] }, now] }] }
+                        ]
+                    }
+                }
+            },
+            {
+                $set: {
+                    identifier,
+                    failedCount: {
+                        $cond: ['$lastAttemptAllowed', { $cond: [inWindow, { $add: [failedCount, 1] }, 1] }, failedCount]
+                    },
+                    lastFailedAt: { $cond: ['$lastAttemptAllowed', now, { $ifNull: ['$lastFailedAt', null] }] },
+                    lockedUntil: { $ifNull: ['$lockedUntil', null] },
+                    lockCount: { $ifNull: ['$lockCount', 0] },
+                    createdAt: { $ifNull: ['$createdAt', now] },
+                    updatedAt: now
+                }
+            }
+        ],
+        { upsert: true, new: true, timestamps: false }
+    );
+
+    if (record.lastAttemptAllowed) {
+        return { allowed: true, locked: false, retryAfterMs: 0 };
+    }
+
+    if (record.lockedUntil && record.lockedUntil.getTime() > now.getTime()) {
+        return { allowed: false, locked: true, retryAfterMs: record.lockedUntil.getTime() - now.getTime() };
+    }
+
+    const nextAttemptAt = record.lastFailedAt.getTime() + delayFor(record.failedCount);
+    return { allowed: false, locked: false, retryAfterMs: Math.max(nextAttemptAt - now.getTime(), 0) };
+};
+
+// Called when a reserved attempt fails; the attempt itself was already counted by reserveAttempt.
+// Returns whether this failure locked the account.
+loginThrottleSchema.statics.recordFailure = async function(identifier) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + LOGIN_THROTTLE.LOCK_DURATION_MS);
+
+    // Only the request that finds the threshold crossed starts the lock
+    const locked = await this.findOneAndUpdate(
+        {
+            identifier,
+            failedCount: { $gte: LOGIN_THROTTLE.LOCK_THRESHOLD },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { lockedUntil, failedCount: 0, lastFailedAt: null, $inc: { lockCount: 1 } },
+        { new: true }
+    );
+
+    return { record: locked, locked: Boolean(locked) };
+};
+
+// Forget failures after a successful login
+loginThrottleSchema.statics.clearFailures = function(identifier) {
+    return this.updateOne(
+        { identifier, failedCount: { $gt: 0 } },
+        { failedCount: 0, lastFailedAt: null }
+    );
+};
+
+// Lift a lock and forget failures. Returns the record as it was before, or null.
+loginThrottleSchema.statics.unlock = function(identifier) {
+    return this.findOneAndUpdate(
+        { identifier },
+        { failedCount: 0, lastFailedAt: null, lockedUntil: null }
+    );
+};
+
+// The identifier a user signs in with
+loginThrottleSchema.statics.identifierFor = function(user) {
+    return user.admissionNo || user.phone;
+};
+
+module.exports = {
+    LoginThrottle: mongoose.model('LoginThrottle', loginThrottleSchema),
+    LOGIN_THROTTLE
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const syncable = require('./syncable');
 
 const MediaSchema = new mongoose.Schema({
     title: {
@@ -73,6 +74,7 @@ const MediaSchema = new mongoose.Schema({
 // Add indexes for common queries
 MediaSchema.index({ dateUploaded: 1 });
 MediaSchema.index({ type: 1 });
+MediaSchema.index({ title: 'text' }, { name: 'media_text' });
 
 MediaSchema.pre('save', function(next) {
     const now = new Date();
@@ -85,5 +87,8 @@ MediaSchema.pre('save', function(next) {
     next();
 });
 
+// version, updatedAt and change tracking for delta sync
+MediaSchema.plugin(syncable, { collection: 'media' });
+
 module.exports = mongoose.model('Media', MediaSchema);
 
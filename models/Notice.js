@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const syncable = require('./syncable');
+const { NoticeRevision, NoticeRevisionAction, toSnapshot, diffSnapshots } = require('./NoticeRevision');
 
 // Enum for Notice Priority
 const NoticePriority = {
@@ -28,6 +30,14 @@ const NoticeStatus = {
     CANCELLED: 'CANCELLED'
 };
 
+// Allowed status transitions (DRAFT -> ACTIVE -> ARCHIVED/CANCELLED)
+const NoticeStatusTransitions = {
+    [NoticeStatus.DRAFT]: [NoticeStatus.ACTIVE, NoticeStatus.CANCELLED],
+    [NoticeStatus.ACTIVE]: [NoticeStatus.ARCHIVED, NoticeStatus.CANCELLED],
+    [NoticeStatus.ARCHIVED]: [],
+    [NoticeStatus.CANCELLED]: []
+};
+
 // Notice Info Schema
 const noticeInfoSchema = new mongoose.Schema({
     organisationName: {
@@ -159,15 +169,38 @@ const noticeSchema = new mongoose.Schema({
         type: String,
         enum: Object.values(NoticeStatus),
         default: NoticeStatus.ACTIVE
+    },
+    publishAt: {
+        type: Date,  // DRAFT notices are published by the scheduler once this time passes
+        default: null
+    },
+    requiresAcknowledgement: {
+        type: Boolean,
+        default: false
     }
 });
 
-// Pre-save middleware to update date and time
+// Indexes used by the notice scheduler
+noticeSchema.index({ status: 1, publishAt: 1 });
+noticeSchema.index({ status: 1, 'eventSchedule.dateToEnd': 1 });
+
+// Full-text search index; title matches rank above body matches
+noticeSchema.index(
+    { title: 'text', 'noticeInfo.noticeDetails': 'text' },
+    { name: 'notice_text', weights: { title: 10, 'noticeInfo.noticeDetails': 2 } }
+);
+
+// Pre-save middleware. dateCreated/timeCreated are set once, when the notice is first saved;
+// later edits are tracked as revisions instead of overwriting them.
 noticeSchema.pre('save', function(next) {
-    // Automatically update dateCreated and timeCreated
-    if (this.isModified()) {
-        this.eventSchedule.dateCreated = new Date().toISOString().split('T')[0];
-        this.eventSchedule.timeCreated = new Date().toTimeString().split(' ')[0];
+    if (this.isNew && this.eventSchedule) {
+        const now = new Date();
+        if (!this.eventSchedule.dateCreated) {
+            this.eventSchedule.dateCreated = now.toISOString().split('T')[0];
+        }
+        if (!this.eventSchedule.timeCreated) {
+            this.eventSchedule.timeCreated = now.toTimeString().split(' ')[0];
+        }
     }
     
     // Ensure id is set
@@ -175,22 +208,176 @@ noticeSchema.pre('save', function(next) {
         this.id = this._id.toString();
     }
 
+    this.$locals.wasNew = this.isNew;
     next();
 });
 
+// Revision numbers come from the latest revision + 1. Concurrent saves can pick the same number;
+// the unique (notice, revision) index rejects all but one and the others re-read and retry.
+const REVISION_WRITE_ATTEMPTS = 5;
+
+// Record a revision for the notice as it is now. Callers can set $locals.editedBy, $locals.source
+// and $locals.restoredFrom before saving or deleting to describe the change.
+async function recordRevision(doc, deleted = false) {
+    const snapshot = toSnapshot(doc);
+
+    for (let attempt = 1; ; attempt++) {
+        const previous = await NoticeRevision.findOne({ notice: doc._id }).sort({ revision: -1 });
+        const changes = deleted ? [] : diffSnapshots(previous ? previous.snapshot : {}, snapshot);
+
+        if (!deleted && previous && changes.length === 0) {
+            return null;
+        }
+
+        let action = NoticeRevisionAction.UPDATE;
+        if (deleted) {
+            action = NoticeRevisionAction.DELETE;
+        } else if (doc.$locals.restoredFrom) {
+            action = NoticeRevisionAction.RESTORE;
+        } else if (doc.$locals.wasNew) {
+            action = NoticeRevisionAction.CREATE;
+        }
+
+        try {
+            return await NoticeRevision.create({
+                notice: doc._id,
+                revision: previous ? previous.revision + 1 : 1,
+                action,
+                editedBy: doc.$locals.editedBy || null,
+                source: doc.$locals.source || 'api',
+                changedFields: [...new Set(changes.map(change => change.field.split('.')[0]))],
+                restoredFrom: doc.$locals.restoredFrom || null,
+                snapshot
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= REVISION_WRITE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+// The notice write has already committed by now, so a failure here must not fail it: callers
+// would report an error for a change that happened, and clients would retry it. The gap is
+// logged instead; the next revision is diffed against the last recorded one, so the change
+// still shows up in the history.
+const revisionHook = (deleted) => async function(doc) {
+    try {
+        await recordRevision(doc, deleted);
+    } catch (error) {
+        console.error(`Revision gap: notice ${doc._id} was ${deleted ? 'deleted' : 'saved'} without a revision:`, error.message);
+    }
+};
+
+noticeSchema.post('save', revisionHook(false));
+noticeSchema.post('deleteOne', { document: true, query: false }, revisionHook(true));
+
+// Build a query matching notices aimed at a student. A notice reaches the student when it is
+// school-wide, names their admission number, or targets their class. Empty grades/sections
+// on a class-targeted notice mean "any grade" / "any section".
+noticeSchema.statics.audienceFilterFor = function({ grade, section, admissionNo } = {}) {
+    const conditions = [{ 'audience.isSchoolWide': true }];
+
+    if (admissionNo) {
+        conditions.push({ 'audience.specificStudents': admissionNo });
+    }
+
+    if (grade || section) {
+        conditions.push({
+            $and: [
+                { $or: [{ 'audience.grades.0': { $exists: true } }, { 'audience.sections.0': { $exists: true } }] },
+                { $or: [{ 'audience.grades.0': { $exists: false } }, ...(grade ? [{ 'audience.grades': grade }] : [])] },
+                { $or: [{ 'audience.sections.0': { $exists: false } }, ...(section ? [{ 'audience.sections': section }] : [])] }
+            ]
+        });
+    }
+
+    return { $or: conditions };
+};
+
+// Static filter for notices aimed at any of several students, e.g. all of a guardian's children
+noticeSchema.statics.audienceFilterForAny = function(audiences = []) {
+    if (audiences.length === 0) {
+        return this.audienceFilterFor();
+    }
+    return { $or: audiences.flatMap(audience => this.audienceFilterFor(audience).$or) };
+};
+
+// Method matching audienceFilterFor in memory: is this notice aimed at the given student?
+noticeSchema.methods.isAimedAt = function({ grade, section, admissionNo } = {}) {
+    const audience = this.audience || {};
+    const grades = audience.grades || [];
+    const sections = audience.sections || [];
+
+    if (audience.isSchoolWide) {
+        return true;
+    }
+
+    if (admissionNo && (audience.specificStudents || []).includes(admissionNo)) {
+        return true;
+    }
+
+    if ((grade || section) && (grades.length > 0 || sections.length > 0)) {
+        return (grades.length === 0 || grades.includes(grade)) &&
+            (sections.length === 0 || sections.includes(section));
+    }
+
+    return false;
+};
+
+// Method to build a User query for the students (and their guardians) this notice is aimed at
+noticeSchema.methods.audienceUserFilter = function() {
+    const audience = this.audience || {};
+    if (audience.isSchoolWide) {
+        return {};
+    }
+
+    const conditions = [];
+    const grades = audience.grades || [];
+    const sections = audience.sections || [];
+
+    if (audience.specificStudents && audience.specificStudents.length > 0) {
+        conditions.push({ admissionNo: { $in: audience.specificStudents } });
+        conditions.push({ 'linkedStudents.admissionNo': { $in: audience.specificStudents } });
+    }
+
+    if (grades.length > 0 || sections.length > 0) {
+        const classFilter = {
+            ...(grades.length > 0 && { grade: { $in: grades } }),
+            ...(sections.length > 0 && { section: { $in: sections } })
+        };
+        conditions.push(classFilter);
+        // Guardians are reached through any of their children
+        conditions.push({ linkedStudents: { $elemMatch: classFilter } });
+    }
+
+    // A notice with no audience reaches nobody
+    return conditions.length > 0 ? { $or: conditions } : { _id: null };
+};
+
 // Method to get safe ID
 noticeSchema.methods.getSafeId = function() {
     return this.id || this._id.toString();
 };
 
+// Method to check whether the notice may move to the given status
+noticeSchema.methods.canTransitionTo = function(status) {
+    const allowed = NoticeStatusTransitions[this.status] || [];
+    return allowed.includes(status);
+};
+
 // Utility methods for date handling
 noticeSchema.methods.formatDate = function(dateString) {
     return new Date(dateString).toISOString().split('T')[0];
 };
 
+// version, updatedAt and change tracking for delta sync
+noticeSchema.plugin(syncable, { collection: 'notices' });
+
 module.exports = {
     Notice: mongoose.model('Notice', noticeSchema),
     NoticePriority,
     NoticeCategory,
-    NoticeStatus
+    NoticeStatus,
+    NoticeStatusTransitions
 };
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Per-user record of when a notice was viewed and acknowledged
+const noticeReceiptSchema = new mongoose.Schema({
+    notice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notice',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    admissionNo: {
+        type: String,
+        required: true
+    },
+    viewedAt: {
+        type: Date,
+        default: null
+    },
+    viewedRevision: {
+        type: Number,  // Notice revision that was on screen when first viewed
+        default: null
+    },
+    acknowledgedAt: {
+        type: Date,
+        default: null
+    },
+    acknowledgedRevision: {
+        type: Number,
+        default: null
+    }
+});
+
+noticeReceiptSchema.index({ notice: 1, user: 1 }, { unique: true });
+noticeReceiptSchema.index({ user: 1 });
+
+module.exports = mongoose.model('NoticeReceipt', noticeReceiptSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Enum for Notice Revision Action
+const NoticeRevisionAction = {
+    CREATE: 'CREATE',
+    UPDATE: 'UPDATE',
+    RESTORE: 'RESTORE',
+    DELETE: 'DELETE'  // Snapshot of the notice as it was when deleted
+};
+
+// Fields captured in every revision snapshot
+const REVISION_FIELDS = [
+    'title',
+    'noticeInfo',
+    'eventSchedule',
+    'audience',
+    'priority',
+    'attachments',
+    'status',
+    'publishAt',
+    'requiresAcknowledgement'
+];
+
+// Each save of a notice stores a full snapshot, so any earlier version can be shown or restored
+const noticeRevisionSchema = new mongoose.Schema({
+    notice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notice',
+        required: true
+    },
+    revision: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    action: {
+        type: String,
+        enum: Object.values(NoticeRevisionAction),
+        required: true
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    source: {
+        type: String,  // api, scheduler, sync ...
+        default: 'api'
+    },
+    editedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    changedFields: {
+        type: [String],
+        default: []
+    },
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, {
+    minimize: false
+});
+
+noticeRevisionSchema.index({ notice: 1, revision: 1 }, { unique: true });
+
+// Plain JSON copy of the revision fields without subdocument _ids
+function toSnapshot(notice) {
+    const source = typeof notice.toObject === 'function' ? notice.toObject() : notice;
+    const snapshot = {};
+    for (const field of REVISION_FIELDS) {
+        if (source[field] !== undefined) {
+            snapshot[field] = source[field];
+        }
+    }
+
+    return JSON.parse(JSON.stringify(snapshot), (key, value) => (key === '_id' ? undefined : value));
+}
+
+// Flatten nested objects into dotted paths; arrays are compared as whole values
+function flatten(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of Object.keys(value)) {
+            flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+// Field-level differences between two snapshots: [{ field, from, to }]
+function diffSnapshots(before = {}, after = {}) {
+    const left = flatten(before);
+    const right = flatten(after);
+    const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+    return fields
+        .filter(field => JSON.stringify(left[field]) !== JSON.stringify(right[field]))
+        .map(field => ({
+            field,
+            from: left[field] === undefined ? null : left[field],
+            to: right[field] === undefined ? null : right[field]
+        }));
+}
+
+module.exports = {
+    NoticeRevision: mongoose.model('NoticeRevision', noticeRevisionSchema),
+    NoticeRevisionAction,
+    REVISION_FIELDS,
+    toSnapshot,
+    diffSnapshots
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const { NoticePriority, NoticeCategory } = require('./Notice');
+
+// Placeholders look like {{variableName}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const templateVariableSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        match: /^[a-zA-Z][a-zA-Z0-9_]*$/
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    defaultValue: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const templateNoticeInfoSchema = new mongoose.Schema({
+    organisationName: {
+        type: String,
+        required: true
+    },
+    organisationAddress: {
+        type: String,
+        required: true
+    },
+    noticeDetails: {
+        type: [String],
+        default: []
+    },
+    noticeType: {
+        type: String,
+        enum: Object.values(NoticeCategory),
+        required: true
+    },
+    department: {
+        type: String,
+        required: false
+    }
+}, { _id: false });
+
+const noticeTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxLength: 100
+    },
+    description: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    noticeInfo: {
+        type: templateNoticeInfoSchema,
+        required: true
+    },
+    audience: {
+        grades: { type: [String], default: [] },
+        sections: { type: [String], default: [] },
+        specificStudents: { type: [String], default: [] },
+        isSchoolWide: { type: Boolean, default: false }
+    },
+    priority: {
+        type: String,
+        enum: Object.values(NoticePriority),
+        default: NoticePriority.NORMAL
+    },
+    requiresAcknowledgement: {
+        type: Boolean,
+        default: null  // null: decided from priority/type when the notice is created
+    },
+    variables: {
+        type: [templateVariableSchema],
+        default: []
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+function findPlaceholders(text) {
+    return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+function fillPlaceholders(text, values) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        values[name] !== undefined ? String(values[name]) : placeholder
+    );
+}
+
+// Method to list the placeholder names used in title and noticeDetails
+noticeTemplateSchema.methods.placeholders = function() {
+    const names = [
+        ...findPlaceholders(this.title),
+        ...(this.noticeInfo.noticeDetails || []).flatMap(findPlaceholders)
+    ];
+    return [...new Set(names)];
+};
+
+// Method to fill the template. Returns the notice fields and any placeholders left without a value.
+noticeTemplateSchema.methods.render = function(values = {}) {
+    const resolved = {};
+    for (const variable of this.variables) {
+        if (variable.defaultValue !== null) {
+            resolved[variable.name] = variable.defaultValue;
+        }
+    }
+    Object.assign(resolved, values);
+
+    const missing = this.placeholders().filter(name =>
+        resolved[name] === undefined || resolved[name] === null || resolved[name] === ''
+    );
+
+    const noticeInfo = this.noticeInfo.toObject();
+    const audience = JSON.parse(JSON.stringify(this.audience || {}));
+
+    return {
+        missing,
+        notice: {
+            title: fillPlaceholders(this.title, resolved),
+            noticeInfo: {
+                ...noticeInfo,
+                noticeDetails: (noticeInfo.noticeDetails || []).map(detail => fillPlaceholders(detail, resolved))
+            },
+            audience,
+            priority: this.priority,
+            ...(this.requiresAcknowledgement !== null && { requiresAcknowledgement: this.requiresAcknowledgement })
+        }
+    };
+};
+
+module.exports = mongoose.model('NoticeTemplate', noticeTemplateSchema);
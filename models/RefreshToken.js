@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Enum for Refresh Token Status
+const RefreshTokenStatus = {
+    ACTIVE: 'ACTIVE',
+    ROTATED: 'ROTATED',  // Exchanged for a newer token in the same family
+    REVOKED: 'REVOKED'
+};
+
+// One record per issued refresh token. Tokens from one login share a familyId; presenting a
+// token that was already rotated or revoked revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    familyId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(RefreshTokenStatus),
+        default: RefreshTokenStatus.ACTIVE
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Expired tokens are useless, let MongoDB remove them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke every still-usable token matching the filter
+refreshTokenSchema.statics.revokeWhere = function(filter, reason) {
+    return this.updateMany(
+        { ...filter, status: { $ne: RefreshTokenStatus.REVOKED } },
+        { status: RefreshTokenStatus.REVOKED, revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+module.exports = {
+    RefreshToken: mongoose.model('RefreshToken', refreshTokenSchema),
+    RefreshTokenStatus
+};
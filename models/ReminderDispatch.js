@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Enum for Reminder Dispatch Status
+const ReminderDispatchStatus = {
+    PENDING: 'PENDING',
+    SENT: 'SENT',
+    FAILED: 'FAILED',
+    EXPIRED: 'EXPIRED'  // Left PENDING by a crash after a later reminder date came due
+};
+
+const dispatchAttemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    channel: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: [ReminderDispatchStatus.SENT, ReminderDispatchStatus.FAILED],
+        required: true
+    },
+    messageId: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+// One record per notice, reminder date and recipient (user) so a reminder is only ever sent once
+const reminderDispatchSchema = new mongoose.Schema({
+    notice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notice',
+        required: true
+    },
+    reminderDate: {
+        type: String,  // ISO date string from eventSchedule.reminderDates: YYYY-MM-DD
+        required: true
+    },
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,  // Guardians and staff have no admission number to key on
+        ref: 'User',
+        required: true
+    },
+    phone: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(ReminderDispatchStatus),
+        default: ReminderDispatchStatus.PENDING
+    },
+    attempts: {
+        type: [dispatchAttemptSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+reminderDispatchSchema.index({ notice: 1, reminderDate: 1, recipient: 1 }, { unique: true });
+reminderDispatchSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = {
+    ReminderDispatch: mongoose.model('ReminderDispatch', reminderDispatchSchema),
+    ReminderDispatchStatus
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const syncable = require('./syncable');
 
 const ReportInfoSchema = new mongoose.Schema({
     dateCreated: {
@@ -79,6 +80,12 @@ const ReportSchema = new mongoose.Schema({
 // Add compound index for date-based queries
 ReportSchema.index({ 'reportInfo.dateCreated': 1, 'reportInfo.type': 1 });
 
+// Full-text search index; title matches rank above body matches
+ReportSchema.index(
+    { title: 'text', 'reportInfo.reportDetails': 'text' },
+    { name: 'report_text', weights: { title: 10, 'reportInfo.reportDetails': 2 } }
+);
+
 ReportSchema.pre('save', function(next) {
     const now = new Date();
     if (!this.reportInfo.dateCreated) {
@@ -90,5 +97,8 @@ ReportSchema.pre('save', function(next) {
     next();
 });
 
+// version, updatedAt and change tracking for delta sync
+ReportSchema.plugin(syncable, { collection: 'reports' });
+
 module.exports = mongoose.model('Report', ReportSchema);
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Enum for Service Account Scopes. A scope is the permission a service token is granted.
+const ServiceAccountScope = {
+    SYNC: 'sync'    // sync-local / update-local endpoints only
+};
+
+// Non-human clients such as AuthSyncService. They get access tokens through the client
+// credentials grant (POST /auth/token) instead of impersonating a user.
+const serviceAccountSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    clientId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Secrets are long random strings, so a keyed SHA-256 is enough; bcrypt would only slow syncs down
+    secretHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Bumped on every rotation or disable, which invalidates outstanding access tokens
+    secretVersion: {
+        type: Number,
+        default: 1
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: Object.values(ServiceAccountScope)
+        }],
+        default: [ServiceAccountScope.SYNC]
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+const SECRET_KEY = process.env.SERVICE_SECRET_KEY || "Service_@_St_Joseph_Academy";
+
+function hashSecret(secret) {
+    return crypto.createHmac('sha256', SECRET_KEY).update(String(secret)).digest('hex');
+}
+
+// Generate a new secret, store its hash and return the plain secret (shown once)
+serviceAccountSchema.methods.rotateSecret = function() {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    this.secretHash = hashSecret(secret);
+    if (!this.isNew) {
+        this.secretVersion += 1;
+        this.rotatedAt = new Date();
+    }
+    return secret;
+};
+
+// Requires the document to be loaded with +secretHash
+serviceAccountSchema.methods.secretMatches = function(secret) {
+    const expected = Buffer.from(this.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+serviceAccountSchema.statics.generateClientId = function() {
+    return `svc_${crypto.randomBytes(12).toString('hex')}`;
+};
+
+module.exports = {
+    ServiceAccount: mongoose.model('ServiceAccount', serviceAccountSchema),
+    ServiceAccountScope
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One record per signed-in device. A session is a refresh token family (RefreshToken.familyId)
+// and stays active while the family has an unexpired ACTIVE token.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    familyId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    platform: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Follows the newest refresh token, so the record goes away with the family
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Device details sent by the client at login, with the user agent as a fallback
+sessionSchema.statics.deviceFromRequest = function(req) {
+    const body = req.body || {};
+    const userAgent = req.get('user-agent') || null;
+
+    return {
+        deviceName: String(body.deviceName || req.get('x-device-name') || '').slice(0, 100) || null,
+        platform: String(body.platform || req.get('x-device-platform') || '').slice(0, 50) || null,
+        ip: req.ip || null,
+        userAgent: userAgent ? userAgent.slice(0, 300) : null
+    };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Admission roster: the students allowed to register
+const StudentSchema = new mongoose.Schema({
+    admissionNo: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^\d{6}$/.test(v);
+            },
+            message: 'Admission number must be 6 digits'
+        }
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minLength: 2
+    },
+    grade: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    section: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    guardianName: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    guardianPhone: {
+        type: String,
+        required: true,
+        trim: true,
+        validate: {
+            validator: function(v) {
+                return /^\d{10}$/.test(v);
+            },
+            message: 'Guardian phone must be 10 digits'
+        }
+    },
+    academicYear: {
+        type: String,  // e.g. 2025-26
+        trim: true,
+        default: null
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+StudentSchema.index({ grade: 1, section: 1 });
+StudentSchema.index({ guardianPhone: 1 });
+
+module.exports = mongoose.model('Student', StudentSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const SyncConflictStatus = {
+    OPEN: 'open',
+    RESOLVED: 'resolved'
+};
+
+// Which side an admin kept when resolving
+const SyncConflictResolution = {
+    SERVER: 'server',   // Keep the server copy as it is
+    CLIENT: 'client',   // Apply the client's change after all
+    CUSTOM: 'custom'    // Apply a record the admin put together
+};
+
+// A pushed change that clashed with a server edit under the manual conflict policy. The server
+// copy stays as it was until an admin picks a resolution through /api/sync/conflicts.
+const syncConflictSchema = new mongoose.Schema({
+    collectionName: {
+        type: String,
+        required: true
+    },
+    recordId: {
+        type: String,
+        default: null
+    },
+    uuid: {
+        type: String,
+        default: null
+    },
+    op: {
+        type: String,
+        enum: ['upsert', 'delete'],
+        required: true
+    },
+    baseVersion: {
+        type: Number,
+        default: null  // Version the client's change was based on
+    },
+    serverVersion: {
+        type: Number,
+        default: null  // null when the server had deleted the record
+    },
+    serverRecord: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    clientRecord: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    changedFields: {
+        type: [String],
+        default: undefined
+    },
+    clientModifiedAt: {
+        type: Date,
+        default: null
+    },
+    source: {
+        type: String,  // sync, offline, legacy
+        default: 'sync'
+    },
+    raisedBy: {
+        type: String,  // "user:<id>" or "service:<name>"
+        default: null
+    },
+    status: {
+        type: String,
+        enum: Object.values(SyncConflictStatus),
+        default: SyncConflictStatus.OPEN
+    },
+    resolution: {
+        type: String,
+        enum: [...Object.values(SyncConflictResolution), null],
+        default: null
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    },
+    resolvedVersion: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+syncConflictSchema.index({ status: 1, createdAt: -1 });
+syncConflictSchema.index({ collectionName: 1, recordId: 1 });
+
+module.exports = {
+    SyncConflict: mongoose.model('SyncConflict', syncConflictSchema),
+    SyncConflictStatus,
+    SyncConflictResolution
+};
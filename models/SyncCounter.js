@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A number handed out by next() that is not released within this long is taken to belong to a
+// write that died, and stops holding readers back
+const SEQ_LEASE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const pendingSeqSchema = new mongoose.Schema({
+    seq: Number,
+    at: Date
+}, { _id: false });
+
+// One counter per synced collection. Every change (write or delete) takes the next number, which
+// orders changes for the delta sync cursor.
+// Numbers are taken before the write that carries them commits, so writes can land out of order:
+// seq 6 may be visible while seq 5 is still being written. Numbers stay in pending until the
+// write releases them, and readers only go up to safeSeq(), below the lowest one in flight.
+const syncCounterSchema = new mongoose.Schema({
+    _id: {
+        type: String  // Collection name, e.g. 'notices'
+    },
+    seq: {
+        type: Number,
+        default: 0
+    },
+    pending: {
+        type: [pendingSeqSchema],
+        default: []
+    }
+});
+
+// Take the next number and mark it in flight in one atomic update, dropping abandoned ones
+syncCounterSchema.statics.next = async function(collection) {
+    const counter = await this.findOneAndUpdate(
+        { _id: collection },
+        [
+            { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] } } },
+            {
+                $set: {
+                    pending: {
+                        $concatArrays: [
+                            {
+                                $filter: {
+                                    input: { $ifNull: ['$pending', []] },
+                                    cond: { $gt: ['$$this.at', { $subtract: ['$$NOW', SEQ_LEASE_TIMEOUT_MS] }] }
+                                }
+                            },
+                            [{ seq: '$seq', at: '$$NOW' }]
+                        ]
+                    }
+                }
+            }
+        ],
+        { upsert: true, new: true }
+    );
+    return counter.seq;
+};
+
+// Called once the write carrying seq has committed or failed
+syncCounterSchema.statics.release = function(collection, seq) {
+    return this.updateOne({ _id: collection }, { $pull: { pending: { seq } } });
+};
+
+// Highest number below which every write has committed; changes are only read up to here
+syncCounterSchema.statics.safeSeq = async function(collection) {
+    const counter = await this.findById(collection).lean();
+    if (!counter) {
+        return 0;
+    }
+
+    const cutoff = Date.now() - SEQ_LEASE_TIMEOUT_MS;
+    const inFlight = (counter.pending || [])
+        .filter(pending => new Date(pending.at).getTime() > cutoff)
+        .map(pending => pending.seq);
+
+    return inFlight.length > 0 ? Math.min(...inFlight) - 1 : counter.seq;
+};
+
+module.exports = mongoose.model('SyncCounter', syncCounterSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// How a pushed change is settled when the record also changed on the server since the
+// version the client started from
+const ConflictPolicy = {
+    SERVER_WINS: 'server-wins',
+    CLIENT_WINS: 'client-wins',
+    LAST_WRITER_WINS: 'last-writer-wins',  // Client's modifiedAt against the server's updatedAt
+    MERGE: 'merge',                        // Fields the client changed over the server copy
+    MANUAL: 'manual'                       // Queued as a SyncConflict for an admin to settle
+};
+
+// Used for collections without a stored policy; server-wins is how sync always behaved
+const DEFAULT_CONFLICT_POLICY = ConflictPolicy.SERVER_WINS;
+
+// One document per sync collection, set through PUT /api/sync/policies/:collection
+const syncPolicySchema = new mongoose.Schema({
+    _id: {
+        type: String  // Collection name, e.g. 'notices'
+    },
+    conflictPolicy: {
+        type: String,
+        enum: Object.values(ConflictPolicy),
+        default: DEFAULT_CONFLICT_POLICY
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+syncPolicySchema.statics.conflictPolicyFor = async function(collection) {
+    const policy = await this.findById(collection).lean();
+    return policy ? policy.conflictPolicy : DEFAULT_CONFLICT_POLICY;
+};
+
+module.exports = {
+    SyncPolicy: mongoose.model('SyncPolicy', syncPolicySchema),
+    ConflictPolicy,
+    DEFAULT_CONFLICT_POLICY
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const SyncRunStatus = {
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    PARTIAL: 'partial',   // Some collections failed, or some changes in them did
+    FAILED: 'failed'
+};
+
+const SyncRunTrigger = {
+    INTERVAL: 'interval',
+    MANUAL: 'manual'
+};
+
+// How long run history is kept
+const SYNC_RUN_RETENTION_DAYS = 90;
+
+const collectionResultSchema = new mongoose.Schema({
+    name: {
+        type: String,  // Collection name, e.g. 'notices'
+        required: true
+    },
+    status: {
+        type: String,  // success or error
+        required: true
+    },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },   // Pushed but unchanged on the server
+    conflict: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    pulled: { type: Number, default: 0 },
+    cursor: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    // Failed changes ({ id, error }), or the server's response body when the whole collection failed
+    failures: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined
+    }
+}, { _id: false });
+
+// One AuthSyncService run, saved so sync health can be checked through /api/sync/status and /history
+const syncRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: Object.values(SyncRunTrigger),
+        default: SyncRunTrigger.INTERVAL
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: Object.values(SyncRunStatus),
+        default: SyncRunStatus.RUNNING
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    collections: {
+        type: [collectionResultSchema],
+        default: []
+    },
+    error: {
+        type: String,
+        default: null
+    }
+});
+
+syncRunSchema.index({ status: 1, startedAt: -1 });
+syncRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: SYNC_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = {
+    SyncRun: mongoose.model('SyncRun', syncRunSchema),
+    SyncRunStatus,
+    SyncRunTrigger
+};
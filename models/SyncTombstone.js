@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// How long deletions are remembered. A client that has not synced for longer must start over.
+const TOMBSTONE_RETENTION_DAYS = 180;
+
+// Marker left behind when a synced record is deleted, so clients pulling changes remove it too
+const syncTombstoneSchema = new mongoose.Schema({
+    collectionName: {
+        type: String,
+        required: true
+    },
+    recordId: {
+        type: String,
+        required: true
+    },
+    uuid: {
+        type: String,
+        default: null
+    },
+    version: {
+        type: Number,
+        default: null  // Version of the record when it was deleted
+    },
+    syncSeq: {
+        type: Number,
+        required: true
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+syncTombstoneSchema.index({ collectionName: 1, syncSeq: 1 }, { unique: true });
+syncTombstoneSchema.index({ collectionName: 1, recordId: 1 });
+syncTombstoneSchema.index({ collectionName: 1, uuid: 1 });
+syncTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncTombstone', syncTombstoneSchema);
+module.exports.TOMBSTONE_RETENTION_DAYS = TOMBSTONE_RETENTION_DAYS;
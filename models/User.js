@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+// Enum for User Role
+const UserRole = {
+  STUDENT: 'student',
+  PARENT: 'parent',
+  TEACHER: 'teacher',
+  ADMIN: 'admin'
+};
+
+const LinkedStudentSchema = new mongoose.Schema({
+  admissionNo: { type: String, required: true, trim: true },
+  name: { type: String, trim: true },
+  grade: { type: String, trim: true, default: null },
+  section: { type: String, trim: true, default: null }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   name: { 
     type: String, 
@@ -8,8 +23,10 @@ const UserSchema = new mongoose.Schema({
   },
   admissionNo: { 
     type: String, 
-    required: true, 
+    // Guardians sign in with their phone and have no admission number of their own
+    required: function() { return this.role !== UserRole.PARENT; },
     unique: true,
+    sparse: true,
     trim: true
   },
   password: { 
@@ -22,19 +39,68 @@ const UserSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  otp: {
+  role: {
+    type: String,
+    enum: Object.values(UserRole),
+    default: UserRole.STUDENT
+  },
+  grade: {
+    type: String,
+    required: false,
+    trim: true,
+    default: null
+  },
+  section: {
     type: String,
     required: false,
-    unique: true
+    trim: true,
+    default: null
+  },
+  // Guardians only: the roster entries of their children, with the class copied for audience matching
+  linkedStudents: {
+    type: [LinkedStudentSchema],
+    default: undefined
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  pendingPhone: {
+    type: String, // New number waiting for OTP confirmation
+    trim: true,
+    default: null
+  },
+  otp: {
+    type: String, // HMAC of the one-time password, never the code itself
+    required: false,
+    default: null,
+    select: false
   },
   otpExpiry: {
+    type: Date,
+    required: false,
+    default: null
+  },
+  otpAttempts: {
+    type: Number,
+    default: 0
+  },
+  otpRequestedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetId: {
+    type: String, // jti of the single outstanding password reset token
+    default: null,
+    select: false
+  },
+  calendarToken: {
     type: String,
     required: false,
-    default: () => new Date().toISOString().split('T')[0]
+    unique: true,
+    sparse: true,
+    select: false
   },
-  refreshTokens: [{
-    type: String
-  }],
   createdAt: {
     type: String, // Store as ISO date string: YYYY-MM-DD
     required: true,
@@ -47,6 +113,31 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// Fields that must never leave the server, even when a document is serialised whole
+const SENSITIVE_FIELDS = ['password', 'otp', 'otpAttempts', 'otpRequestedAt', 'otpExpiry', 'passwordResetId', 'calendarToken', 'refreshTokens'];
+
+UserSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    SENSITIVE_FIELDS.forEach(field => delete ret[field]);
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// One guardian account per phone number
+UserSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { role: UserRole.PARENT } }
+);
+UserSchema.index({ 'linkedStudents.admissionNo': 1 });
+
+// The students whose notices a user receives: themselves, or every child of a guardian
+UserSchema.methods.noticeAudiences = function() {
+  return this.role === UserRole.PARENT
+    ? (this.linkedStudents || []).map(({ admissionNo, grade, section }) => ({ admissionNo, grade, section }))
+    : [{ grade: this.grade, section: this.section, admissionNo: this.admissionNo }];
+};
+
 // Remove timestamps option since we're handling dates manually
 UserSchema.pre('save', function(next) {
   this.updatedAt = new Date().toISOString().split('T')[0];
@@ -54,4 +145,5 @@ UserSchema.pre('save', function(next) {
 });
 
 module.exports = mongoose.model('User', UserSchema);
+module.exports.UserRole = UserRole;
 
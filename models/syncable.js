@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const SyncCounter = require('./SyncCounter');
+const SyncTombstone = require('./SyncTombstone');
+
+/**
+ * Schema plugin for collections that take part in delta sync.
+ * Adds uuid (a stable identity that clients may generate themselves), version (bumped on every
+ * change), updatedAt and syncSeq (the collection-wide change number used as the sync cursor),
+ * and leaves a SyncTombstone behind when a record is deleted.
+ *   schema.plugin(syncable, { collection: 'notices' })
+ * Writes through save(), updateOne() and findOneAndUpdate() are tracked; updateMany() is not,
+ * so bulk changes must go through documents.
+ * Each write releases its syncSeq once it has committed or failed (see SyncCounter.safeSeq).
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function syncable(schema, { collection }) {
+    schema.add({
+        uuid: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            default: () => crypto.randomUUID(),
+            validate: {
+                validator: function(v) {
+                    return UUID_PATTERN.test(v);
+                },
+                message: 'uuid must be a UUID'
+            }
+        },
+        version: {
+            type: Number,
+            default: 1
+        },
+        updatedAt: {
+            type: Date,
+            default: null
+        },
+        syncSeq: {
+            type: Number,
+            default: 0
+        }
+    });
+
+    schema.index({ syncSeq: 1 });
+    schema.index({ uuid: 1 }, { unique: true, sparse: true });
+
+    schema.pre('save', async function() {
+        if (!this.isNew && !this.isModified()) {
+            return;
+        }
+        if (!this.isNew) {
+            this.version += 1;
+        }
+        this.updatedAt = new Date();
+        this.syncSeq = await SyncCounter.next(collection);
+        this.$locals.pendingSyncSeq = this.syncSeq;
+    });
+
+    const releaseDocSeq = async (doc) => {
+        const seq = doc && doc.$locals.pendingSyncSeq;
+        if (seq) {
+            doc.$locals.pendingSyncSeq = null;
+            await SyncCounter.release(collection, seq);
+        }
+    };
+
+    schema.post('save', async function(doc) {
+        await releaseDocSeq(doc);
+    });
+
+    schema.post('save', function(error, doc, next) {
+        releaseDocSeq(this).then(() => next(error), () => next(error));
+    });
+
+    schema.pre(['updateOne', 'findOneAndUpdate'], async function() {
+        const update = this.getUpdate();
+        if (!update || Array.isArray(update)) {
+            return;
+        }
+        this._pendingSyncSeq = await SyncCounter.next(collection);
+        update.$inc = { ...update.$inc, version: 1 };
+        update.$set = { ...update.$set, updatedAt: new Date(), syncSeq: this._pendingSyncSeq };
+        this.setUpdate(update);
+    });
+
+    const releaseQuerySeq = async (query) => {
+        const seq = query._pendingSyncSeq;
+        if (seq) {
+            query._pendingSyncSeq = null;
+            await SyncCounter.release(collection, seq);
+        }
+    };
+
+    schema.post(['updateOne', 'findOneAndUpdate'], async function() {
+        await releaseQuerySeq(this);
+    });
+
+    schema.post(['updateOne', 'findOneAndUpdate'], function(error, res, next) {
+        releaseQuerySeq(this).then(() => next(error), () => next(error));
+    });
+
+    // Take a number, run the write that carries it, and release the number either way
+    const withSyncSeq = async (write) => {
+        const seq = await SyncCounter.next(collection);
+        try {
+            return await write(seq);
+        } finally {
+            await SyncCounter.release(collection, seq);
+        }
+    };
+
+    const recordTombstones = async (docs) => {
+        for (const doc of docs) {
+            await withSyncSeq(syncSeq => SyncTombstone.create({
+                collectionName: collection,
+                recordId: doc._id.toString(),
+                uuid: doc.uuid || null,
+                version: doc.version || null,
+                syncSeq
+            }));
+        }
+    };
+
+    // Deletes: find what is about to go, then record it once the delete has run. doc.deleteOne()
+    // runs its delete as a query too, so these hooks cover document deletes as well.
+    schema.pre(['deleteOne', 'deleteMany'], { query: true, document: false }, async function() {
+        const find = this.op === 'deleteOne'
+            ? this.model.find(this.getFilter()).limit(1)
+            : this.model.find(this.getFilter());
+        this._syncDeleted = await find.select('_id uuid version').lean();
+    });
+
+    schema.post(['deleteOne', 'deleteMany'], { query: true, document: false }, async function() {
+        await recordTombstones(this._syncDeleted || []);
+    });
+
+    schema.post('findOneAndDelete', async function(doc) {
+        if (doc) {
+            await recordTombstones([doc]);
+        }
+    });
+
+    // Give records written before sync existed a uuid, a version and a place in the change order.
+    // Uses the driver directly so the hooks above don't run.
+    schema.statics.backfillSyncFields = async function() {
+        const legacy = await this.find({ $or: [{ syncSeq: { $exists: false } }, { uuid: { $exists: false } }] })
+            .select('_id syncSeq')
+            .lean();
+        for (const doc of legacy) {
+            const write = (syncSeq) => this.collection.updateOne(
+                { _id: doc._id },
+                {
+                    $set: {
+                        uuid: crypto.randomUUID(),
+                        ...(syncSeq && { version: 1, updatedAt: new Date(), syncSeq })
+                    }
+                }
+            );
+            await (doc.syncSeq === undefined ? withSyncSeq(write) : write(null));
+        }
+        return legacy.length;
+    };
+}
+
+module.exports = syncable;
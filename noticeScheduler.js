@@ -0,0 +1,155 @@
+const { Notice, NoticeStatus } = require('./models/Notice');
+const { refreshLocalNoticesSafely } = require('./localData');
+
+class NoticeScheduler {
+    constructor(config = {}) {
+        this.config = {
+            checkInterval: config.checkInterval || 60000,
+            onRunComplete: config.onRunComplete || (() => {}),
+            onRunError: config.onRunError || (() => {})
+        };
+
+        this.interval = null;
+        this.isRunning = false;
+        this.lastRun = null;
+        this.lastResults = null;
+
+        // Add cleanup handler
+        process.on('SIGTERM', () => this.stop());
+        process.on('SIGINT', () => this.stop());
+    }
+
+    start() {
+        if (this.interval) {
+            return;
+        }
+
+        console.log('Starting notice scheduler...');
+        this.run();
+        this.interval = setInterval(() => {
+            this.run();
+        }, this.config.checkInterval);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('Notice scheduler stopped');
+        }
+    }
+
+    getStatus() {
+        return {
+            running: Boolean(this.interval),
+            checkInterval: this.config.checkInterval,
+            lastRun: this.lastRun,
+            nextRun: this.interval && this.lastRun
+                ? new Date(new Date(this.lastRun).getTime() + this.config.checkInterval).toISOString()
+                : null,
+            lastResults: this.lastResults
+        };
+    }
+
+    // Publish due drafts and archive expired notices; overlapping runs are skipped
+    async run() {
+        if (this.isRunning) {
+            return null;
+        }
+
+        this.isRunning = true;
+        try {
+            const now = new Date();
+            const results = {
+                published: await this.publishDueNotices(now),
+                archived: await this.archiveExpiredNotices(now)
+            };
+
+            if (results.published.length > 0 || results.archived.length > 0) {
+                await refreshLocalNoticesSafely();
+            }
+
+            this.lastRun = now.toISOString();
+            this.lastResults = results;
+            this.config.onRunComplete(results);
+            return results;
+        } catch (error) {
+            console.error('Notice scheduler run failed:', {
+                message: error.message
+            });
+            this.config.onRunError(error);
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async publishDueNotices(now) {
+        const notices = await Notice.find({
+            status: NoticeStatus.DRAFT,
+            publishAt: { $ne: null, $lte: now }
+        });
+
+        return this.transitionAll(notices, NoticeStatus.ACTIVE);
+    }
+
+    async archiveExpiredNotices(now) {
+        const today = now.toISOString().split('T')[0];
+        const notices = await Notice.find({
+            status: NoticeStatus.ACTIVE,
+            'eventSchedule.dateToEnd': { $lt: today }
+        });
+
+        return this.transitionAll(notices, NoticeStatus.ARCHIVED);
+    }
+
+    async transitionAll(notices, status) {
+        const changed = [];
+
+        for (const notice of notices) {
+            if (!notice.canTransitionTo(status)) continue;
+
+            try {
+                notice.status = status;
+                notice.$locals.source = 'scheduler';
+                await notice.save();
+                changed.push(notice._id.toString());
+            } catch (error) {
+                console.error(`Failed to move notice ${notice._id} to ${status}:`, error.message);
+            }
+        }
+
+        return changed;
+    }
+
+    // Upcoming publish and archive events, soonest first
+    static async getUpcomingSchedule(limit = 50) {
+        const now = new Date();
+        const today = now.toISOString().split('T')[0];
+
+        const [toPublish, toArchive] = await Promise.all([
+            Notice.find({ status: NoticeStatus.DRAFT, publishAt: { $ne: null } })
+                .sort({ publishAt: 1 })
+                .limit(limit),
+            Notice.find({ status: NoticeStatus.ACTIVE, 'eventSchedule.dateToEnd': { $gte: today } })
+                .sort({ 'eventSchedule.dateToEnd': 1 })
+                .limit(limit)
+        ]);
+
+        return {
+            publish: toPublish.map(notice => ({
+                id: notice._id.toString(),
+                title: notice.title,
+                publishAt: notice.publishAt,
+                overdue: notice.publishAt <= now
+            })),
+            archive: toArchive.map(notice => ({
+                id: notice._id.toString(),
+                title: notice.title,
+                dateToEnd: notice.eventSchedule.dateToEnd
+            }))
+        };
+    }
+}
+
+module.exports = NoticeScheduler;
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const path = require('path');
+const twilio = require('twilio');
+
+/*
+ * Notification channels deliver a text message to a phone number.
+ * Every channel exposes the same interface:
+ *   name                 - identifier stored with each delivery record
+ *   send({ to, body })   - resolves to { id } on success, throws on failure
+ */
+
+// Development stand-in: records each message to the console and a file without delivering it.
+// Bodies are left out since they can hold OTPs.
+class LogChannel {
+    constructor(config = {}) {
+        this.name = 'log';
+        this.filePath = config.filePath || process.env.NOTIFICATION_LOG_PATH || path.join(__dirname, 'notifications.log');
+    }
+
+    async send({ to, body }) {
+        const entry = {
+            id: `log-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+            to,
+            length: body.length,
+            sentAt: new Date().toISOString()
+        };
+
+        console.log(`[notification:${this.name}] to ${to} (${body.length} characters, not delivered)`);
+        await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+        return { id: entry.id };
+    }
+}
+
+// SMS delivery through Twilio
+class TwilioChannel {
+    constructor(config = {}) {
+        this.name = 'twilio';
+        this.from = config.from || process.env.TWILIO_PHONE_NUMBER;
+        this.countryCode = config.countryCode || process.env.TWILIO_DEFAULT_COUNTRY_CODE || '+91';
+        this.client = twilio(
+            config.accountSid || process.env.TWILIO_SID,
+            config.authToken || process.env.TWILIO_AUTH_TOKEN
+        );
+    }
+
+    // Stored phone numbers are 10 digits; Twilio needs E.164
+    formatNumber(phone) {
+        return phone.startsWith('+') ? phone : `${this.countryCode}${phone}`;
+    }
+
+    async send({ to, body }) {
+        const message = await this.client.messages.create({
+            body,
+            from: this.from,
+            to: this.formatNumber(to)
+        });
+        return { id: message.sid };
+    }
+}
+
+const CHANNELS = {
+    log: LogChannel,
+    twilio: TwilioChannel
+};
+
+// NOTIFICATION_CHANNEL, or the log channel in development. Anywhere else the channel must be
+// set explicitly: falling back to the log channel would silently drop every text, OTPs included.
+function defaultChannelName() {
+    if (process.env.NOTIFICATION_CHANNEL) {
+        return process.env.NOTIFICATION_CHANNEL;
+    }
+    if ((process.env.NODE_ENV || 'development') === 'development') {
+        return 'log';
+    }
+    throw new Error('NOTIFICATION_CHANNEL must be set outside development');
+}
+
+// Create a channel by name, defaulting to defaultChannelName()
+function createChannel(name = defaultChannelName(), config = {}) {
+    const Channel = CHANNELS[name];
+    if (!Channel) {
+        throw new Error(`Unknown notification channel: ${name}`);
+    }
+    return new Channel(config);
+}
+
+module.exports = {
+    LogChannel,
+    TwilioChannel,
+    defaultChannelName,
+    createChannel
+};
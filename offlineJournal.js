@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const { ChangeStatus, applyChanges } = require('./deltaSync');
+const { applyLocalChange, refreshLocalNoticesSafely } = require('./localData');
+const { IdempotencyKey, IdempotencyStatus } = require('./models/IdempotencyKey');
+
+const OfflineWriteStatus = {
+    QUEUED: 'queued',
+    APPLIED: 'applied',
+    CONFLICT: 'conflict',   // The record changed on the server since the offline copy was read
+    FAILED: 'failed'
+};
+
+// Processed entries are kept this long so clients can still look up how their write went
+const PROCESSED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function isDatabaseOnline() {
+    return mongoose.connection.readyState === 1;
+}
+
+// Writes accepted while MongoDB is unreachable. Each write is stored as a delta sync change
+// (see deltaSync.js) in an append-only file, one JSON entry per line, and fsynced before the
+// client is answered. Once the database is back the entries are applied in the order they
+// were accepted. A later line for the same entry id replaces the earlier one.
+class OfflineJournal {
+    constructor(config = {}) {
+        this.config = {
+            path: config.path || path.join(__dirname, 'offline_journal.jsonl'),
+            onReplayComplete: config.onReplayComplete || (() => {}),
+            onReplayError: config.onReplayError || (() => {})
+        };
+
+        this.entries = null;
+        this.lastSeq = 0;
+        this.appending = Promise.resolve();
+        this.replaying = null;
+        this.lastReplay = null;
+        this.lastResults = null;
+    }
+
+    async load() {
+        if (!this.entries) {
+            this.entries = await this.readFile();
+        }
+        return this.entries;
+    }
+
+    // Latest state of every entry in the file
+    async readFile() {
+        const entries = new Map();
+        let data = '';
+        try {
+            data = await fs.readFile(this.config.path, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of data.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                entries.set(entry.id, entry);
+                this.lastSeq = Math.max(this.lastSeq, entry.seq);
+            } catch (error) {
+                // A line cut short by a crash mid-write; the client never got an answer for it
+                console.error('Skipping unreadable offline journal line');
+            }
+        }
+
+        return entries;
+    }
+
+    // Appends are chained so lines are never interleaved, and synced so they survive a crash
+    append(entry) {
+        const write = this.appending.then(async () => {
+            const file = await fs.open(this.config.path, 'a');
+            try {
+                await file.write(`${JSON.stringify(entry)}\n`);
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+        });
+
+        this.appending = write.catch(() => {});
+        return write;
+    }
+
+    // Queue a change for a sync collection and reflect it in the local copy.
+    // Returns the entry; describe() it for the response.
+    async enqueue(collection, change, req) {
+        await this.load();
+
+        const entry = {
+            id: crypto.randomUUID(),
+            seq: ++this.lastSeq,
+            collection,
+            change,
+            principal: { id: req.user.id, role: req.user.role },
+            // Set by the idempotency middleware, which checks the journal while MongoDB is offline
+            idempotency: req.idempotency || null,
+            status: OfflineWriteStatus.QUEUED,
+            queuedAt: new Date().toISOString(),
+            processedAt: null,
+            result: null
+        };
+
+        await this.append(entry);
+        this.entries.set(entry.id, entry);
+
+        try {
+            await applyLocalChange(collection, change);
+        } catch (error) {
+            // The write is safe in the journal; only offline reads miss it
+            console.error(`Error updating local ${collection}:`, error);
+        }
+
+        return entry;
+    }
+
+    async get(id) {
+        const entries = await this.load();
+        return entries.get(id) || null;
+    }
+
+    async findByIdempotencyKey(principal, key) {
+        const entries = await this.load();
+        return [...entries.values()].find(entry =>
+            entry.idempotency && entry.idempotency.principal === principal && entry.idempotency.key === key) || null;
+    }
+
+    async list({ status, principalId } = {}) {
+        const entries = await this.load();
+        return [...entries.values()]
+            .filter(entry => (!status || entry.status === status) &&
+                (!principalId || entry.principal.id === principalId))
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    describe(entry) {
+        return {
+            id: entry.id,
+            seq: entry.seq,
+            collection: entry.collection,
+            op: entry.change.op,
+            recordId: (entry.result && entry.result.id) || entry.change.id || null,
+            uuid: entry.change.uuid || null,
+            status: entry.status,
+            queuedAt: entry.queuedAt,
+            processedAt: entry.processedAt,
+            error: (entry.result && entry.result.error) || null,
+            conflictId: (entry.result && entry.result.conflictId) || null,
+            statusUrl: `/api/offline/writes/${entry.id}`
+        };
+    }
+
+    // Response data for a queued write: the record as it will be saved, plus the write's status
+    toResponseData(entry) {
+        const { change } = entry;
+        return {
+            ...(change.record || { id: change.id || null, uuid: change.uuid || null }),
+            offlineWrite: this.describe(entry)
+        };
+    }
+
+    async getStatus() {
+        const entries = [...(await this.load()).values()];
+        const count = (status) => entries.filter(entry => entry.status === status).length;
+
+        return {
+            database: isDatabaseOnline() ? 'online' : 'offline',
+            queued: count(OfflineWriteStatus.QUEUED),
+            conflict: count(OfflineWriteStatus.CONFLICT),
+            failed: count(OfflineWriteStatus.FAILED),
+            replaying: Boolean(this.replaying),
+            lastReplay: this.lastReplay,
+            lastResults: this.lastResults
+        };
+    }
+
+    // Apply queued entries in order. Concurrent calls share the run in progress.
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.runReplay().finally(() => {
+                this.replaying = null;
+            });
+        }
+        return this.replaying;
+    }
+
+    async runReplay() {
+        const results = { applied: 0, conflict: 0, failed: 0, remaining: 0 };
+
+        try {
+            const queued = await this.list({ status: OfflineWriteStatus.QUEUED });
+            const collections = new Set();
+
+            for (const entry of queued) {
+                if (!isDatabaseOnline()) {
+                    break;
+                }
+
+                const { results: [result] } = await applyChanges(entry.collection, [entry.change], {
+                    user: entry.principal,
+                    syncSource: 'offline'
+                });
+
+                if (result.status === ChangeStatus.FAILED && !isDatabaseOnline()) {
+                    // Lost the connection again; leave it queued for the next replay
+                    break;
+                }
+
+                const status = result.status === ChangeStatus.CONFLICT ? OfflineWriteStatus.CONFLICT
+                    : result.status === ChangeStatus.FAILED ? OfflineWriteStatus.FAILED
+                    : OfflineWriteStatus.APPLIED;
+
+                await this.settle(entry, status, result);
+                collections.add(entry.collection);
+                results[status]++;
+            }
+
+            results.remaining = (await this.list({ status: OfflineWriteStatus.QUEUED })).length;
+
+            if (collections.has('notices')) {
+                await refreshLocalNoticesSafely();
+            }
+            if (results.remaining === 0) {
+                await this.compact();
+            }
+
+            this.lastReplay = new Date().toISOString();
+            this.lastResults = results;
+            this.config.onReplayComplete(results);
+            return results;
+        } catch (error) {
+            this.config.onReplayError(error);
+            throw error;
+        }
+    }
+
+    async settle(entry, status, result) {
+        const { index, ...details } = result;
+        const settled = { ...entry, status, processedAt: new Date().toISOString(), result: details };
+        await this.append(settled);
+        this.entries.set(entry.id, settled);
+
+        // Hand the key over to MongoDB, so a retry arriving after the replay still isn't run twice
+        if (entry.idempotency) {
+            const { key, principal, requestHash, path: requestPath } = entry.idempotency;
+            await IdempotencyKey.updateOne({ key, principal }, {
+                $setOnInsert: {
+                    method: 'POST',
+                    path: requestPath,
+                    requestHash,
+                    status: IdempotencyStatus.COMPLETED,
+                    responseStatus: 202,
+                    responseBody: {
+                        success: true,
+                        type: "Success",
+                        message: 'Write was queued while the database was offline',
+                        data: this.toResponseData(settled)
+                    }
+                }
+            }, { upsert: true }).catch(error => console.error('Error saving idempotency key:', error));
+        }
+
+        return settled;
+    }
+
+    // Rewrite the file without entries processed longer ago than the retention period.
+    // What to keep is read from the file inside the append chain, so a write appended just before
+    // is kept even if it hasn't reached this.entries yet; only the dropped entries leave the map.
+    async compact() {
+        const write = this.appending.then(async () => {
+            const cutoff = Date.now() - PROCESSED_RETENTION_MS;
+            const current = await this.readFile();
+            const kept = [...current.values()]
+                .filter(entry => entry.status === OfflineWriteStatus.QUEUED || new Date(entry.processedAt).getTime() > cutoff)
+                .sort((a, b) => a.seq - b.seq);
+
+            if (kept.length === current.size) {
+                return;
+            }
+
+            const tempPath = `${this.config.path}.tmp`;
+            const file = await fs.open(tempPath, 'w');
+            try {
+                await file.write(kept.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+            await fs.rename(tempPath, this.config.path);
+
+            const keptIds = new Set(kept.map(entry => entry.id));
+            for (const id of current.keys()) {
+                if (!keptIds.has(id)) this.entries.delete(id);
+            }
+        });
+
+        this.appending = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = {
+    OfflineJournal,
+    OfflineWriteStatus,
+    isDatabaseOnline
+};
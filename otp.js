@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { createChannel, defaultChannelName } = require('./notificationChannels');
+
+const OTP_CONFIG = {
+    SECRET: process.env.OTP_SECRET || "OTP_@_St_Joseph_Academy",
+    EXPIRY_MS: 5 * 60 * 1000,         // OTP valid for 5 minutes
+    RESEND_INTERVAL_MS: 60 * 1000,    // At most one OTP per minute
+    MAX_ATTEMPTS: 5                   // Wrong guesses before the OTP is discarded
+};
+
+// Result of checking an OTP
+const OtpResult = {
+    VALID: 'VALID',
+    INVALID: 'INVALID',              // Wrong, expired or never issued
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS'
+};
+
+// SMS sender for OTPs (Twilio or the log stand-in), created on first use
+let smsChannel = null;
+function getSmsChannel() {
+    if (!smsChannel) {
+        smsChannel = createChannel(process.env.OTP_CHANNEL || defaultChannelName());
+    }
+    return smsChannel;
+}
+
+// OTPs are stored as an HMAC bound to the user and to what they were issued for, never in plain
+// text, so a password reset code cannot be used to confirm a phone change
+function hashOtp(user, purpose, otp) {
+    return crypto.createHmac('sha256', OTP_CONFIG.SECRET)
+        .update(`${user._id}:${purpose}:${otp}`)
+        .digest('hex');
+}
+
+function clearOtp(user) {
+    user.otp = null;
+    user.otpExpiry = null;
+    user.otpAttempts = 0;
+}
+
+function otpRecentlySent(user) {
+    return Boolean(user.otpRequestedAt) && Date.now() - user.otpRequestedAt.getTime() < OTP_CONFIG.RESEND_INTERVAL_MS;
+}
+
+// Generate a 6-digit OTP, store its hash on the user and text it (to the user's phone unless `to` is given)
+async function sendOtp(user, purpose, buildMessage, to = user.phone) {
+    const otp = crypto.randomInt(100000, 1000000).toString();
+
+    user.otp = hashOtp(user, purpose, otp);
+    user.otpExpiry = new Date(Date.now() + OTP_CONFIG.EXPIRY_MS);
+    user.otpAttempts = 0;
+    user.otpRequestedAt = new Date();
+    await user.save();
+
+    await getSmsChannel().send({ to, body: buildMessage(otp) });
+}
+
+// Check an OTP. The user must be loaded with +otp. A valid OTP is cleared (single use) but the
+// caller saves the user; failed attempts are counted and saved here.
+async function verifyOtp(user, purpose, otp) {
+    if (!user || !user.otp || !user.otpExpiry || user.otpExpiry.getTime() < Date.now()) {
+        return OtpResult.INVALID;
+    }
+
+    const expected = Buffer.from(user.otp, 'hex');
+    const actual = Buffer.from(hashOtp(user, purpose, String(otp)), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        user.otpAttempts += 1;
+        if (user.otpAttempts >= OTP_CONFIG.MAX_ATTEMPTS) {
+            clearOtp(user);
+            await user.save();
+            return OtpResult.TOO_MANY_ATTEMPTS;
+        }
+        await user.save();
+        return OtpResult.INVALID;
+    }
+
+    clearOtp(user);
+    return OtpResult.VALID;
+}
+
+module.exports = {
+    OTP_CONFIG,
+    OtpResult,
+    getSmsChannel,
+    otpRecentlySent,
+    sendOtp,
+    verifyOtp
+};
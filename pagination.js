@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaginationError';
+        this.status = 400;
+    }
+}
+
+// Cursors are opaque to clients: base64url JSON tied to the sort they were issued for
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new PaginationError('Invalid cursor');
+    }
+}
+
+// Read a dotted path such as 'eventSchedule.dateCreated' from a plain object
+function getPath(item, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+/**
+ * Parse limit, cursor, sort and order query parameters.
+ * sortFields maps public sort names to document paths, e.g. { title: 'title' }.
+ * Throws PaginationError for invalid input.
+ */
+function parsePagination(query, { sortFields, defaultSort, defaultOrder = 'desc' }) {
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (isNaN(limit) || limit < 1) {
+            throw new PaginationError('limit must be a positive integer');
+        }
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    const sort = query.sort || defaultSort;
+    if (!sortFields[sort]) {
+        throw new PaginationError(`Invalid sort field. Allowed: ${Object.keys(sortFields).join(', ')}`);
+    }
+
+    const order = query.order || defaultOrder;
+    if (order !== 'asc' && order !== 'desc') {
+        throw new PaginationError('order must be asc or desc');
+    }
+
+    const key = `${sort}:${order}`;
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (cursor.key !== key) {
+            throw new PaginationError('Cursor does not match the requested sort');
+        }
+    }
+
+    return { limit, sort, order, key, path: sortFields[sort], cursor };
+}
+
+function buildPageInfo(pagination, total, hasMore, nextCursor) {
+    return {
+        total,
+        limit: pagination.limit,
+        sort: pagination.sort,
+        order: pagination.order,
+        hasMore,
+        nextCursor
+    };
+}
+
+/**
+ * Fetch one page of a MongoDB query using keyset pagination on (sort path, _id).
+ * `customize` can add populate/select calls to the page query.
+ */
+async function paginateQuery(Model, filter, pagination, customize = (query) => query) {
+    const { limit, path, order, cursor, key } = pagination;
+    const direction = order === 'asc' ? 1 : -1;
+    const op = direction === 1 ? '$gt' : '$lt';
+
+    let pageFilter = filter;
+    if (cursor) {
+        if (!mongoose.Types.ObjectId.isValid(cursor.id)) {
+            throw new PaginationError('Invalid cursor');
+        }
+        const cursorId = new mongoose.Types.ObjectId(cursor.id);
+        pageFilter = {
+            $and: [
+                filter,
+                {
+                    $or: [
+                        { [path]: { [op]: cursor.value } },
+                        { [path]: cursor.value, _id: { [op]: cursorId } }
+                    ]
+                }
+            ]
+        };
+    }
+
+    const [docs, total] = await Promise.all([
+        customize(Model.find(pageFilter).sort({ [path]: direction, _id: direction }).limit(limit + 1)),
+        Model.countDocuments(filter)
+    ]);
+
+    const hasMore = docs.length > limit;
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = hasMore
+        ? encodeCursor({ key, value: last.get(path), id: last._id.toString() })
+        : null;
+
+    return { items, pagination: buildPageInfo(pagination, total, hasMore, nextCursor) };
+}
+
+// Same paging for in-memory arrays such as the local_*.json copies (offset based)
+function paginateArray(array, pagination) {
+    const { limit, path, order, cursor, key } = pagination;
+    const direction = order === 'asc' ? 1 : -1;
+    const offset = cursor ? parseInt(cursor.offset, 10) || 0 : 0;
+
+    const sorted = [...array].sort((a, b) => {
+        const left = getPath(a, path);
+        const right = getPath(b, path);
+        if (left === right) return 0;
+        if (left === undefined) return 1;
+        if (right === undefined) return -1;
+        return left > right ? direction : -direction;
+    });
+
+    const items = sorted.slice(offset, offset + limit);
+    const hasMore = offset + limit < sorted.length;
+    const nextCursor = hasMore ? encodeCursor({ key, offset: offset + limit }) : null;
+
+    return { items, pagination: buildPageInfo(pagination, sorted.length, hasMore, nextCursor) };
+}
+
+module.exports = {
+    PaginationError,
+    parsePagination,
+    paginateQuery,
+    paginateArray
+};
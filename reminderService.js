@@ -0,0 +1,204 @@
+const User = require('./models/User');
+const { UserRole } = require('./models/User');
+const { Notice, NoticeStatus } = require('./models/Notice');
+const { ReminderDispatch, ReminderDispatchStatus } = require('./models/ReminderDispatch');
+const { createChannel } = require('./notificationChannels');
+
+class ReminderService {
+    constructor(config = {}) {
+        this.config = {
+            checkInterval: config.checkInterval || 15 * 60 * 1000,
+            maxAttempts: config.maxAttempts || 3,
+            // A PENDING claim older than this was left by a crashed run and may be claimed again
+            claimTimeout: config.claimTimeout || 10 * 60 * 1000,
+            channel: config.channel || createChannel(),
+            onRunComplete: config.onRunComplete || (() => {}),
+            onRunError: config.onRunError || (() => {})
+        };
+
+        this.interval = null;
+        this.isRunning = false;
+        this.lastRun = null;
+
+        // Add cleanup handler
+        process.on('SIGTERM', () => this.stop());
+        process.on('SIGINT', () => this.stop());
+    }
+
+    start() {
+        if (this.interval) {
+            return;
+        }
+
+        console.log(`Starting reminder service (channel: ${this.config.channel.name})...`);
+        this.run();
+        this.interval = setInterval(() => {
+            this.run();
+        }, this.config.checkInterval);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('Reminder service stopped');
+        }
+    }
+
+    // Send the latest due reminder of each notice if it has not been sent yet. Earlier reminder
+    // dates that have gone by are not caught up on. Overlapping runs are skipped.
+    async run() {
+        if (this.isRunning) {
+            return null;
+        }
+
+        this.isRunning = true;
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            const notices = await this.findDueNotices(today);
+            const results = { sent: 0, failed: 0, skipped: 0 };
+
+            for (const notice of notices) {
+                const reminderDate = notice.eventSchedule.reminderDates
+                    .filter(date => date <= today)
+                    .sort()
+                    .pop();
+                await this.expireStaleClaims(notice, reminderDate);
+
+                const recipients = await User.find({
+                    ...notice.audienceUserFilter(),
+                    // Reminders go to students and guardians; a school-wide filter matches staff too
+                    role: { $nin: [UserRole.TEACHER, UserRole.ADMIN] }
+                });
+                for (const user of recipients) {
+                    // One bad recipient must not hold up everyone else's reminders
+                    try {
+                        const outcome = await this.dispatch(notice, reminderDate, user);
+                        results[outcome]++;
+                    } catch (error) {
+                        console.error(`Reminder to user ${user._id} for notice ${notice._id} could not be dispatched:`, error.message);
+                        results.failed++;
+                    }
+                }
+            }
+
+            this.lastRun = new Date().toISOString();
+            this.config.onRunComplete(results);
+            return results;
+        } catch (error) {
+            console.error('Reminder run failed:', {
+                message: error.message
+            });
+            this.config.onRunError(error);
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Active notices with a reminder date that has arrived and an event that has not ended
+    findDueNotices(today) {
+        return Notice.find({
+            status: NoticeStatus.ACTIVE,
+            'eventSchedule.reminderDates': { $lte: today },
+            'eventSchedule.dateToEnd': { $gte: today }
+        });
+    }
+
+    staleClaimCutoff() {
+        return new Date(Date.now() - this.config.claimTimeout);
+    }
+
+    // Stale claims for superseded reminder dates will never be retried; mark them so they don't
+    // look in flight forever
+    expireStaleClaims(notice, reminderDate) {
+        return ReminderDispatch.updateMany(
+            {
+                notice: notice._id,
+                reminderDate: { $lt: reminderDate },
+                status: ReminderDispatchStatus.PENDING,
+                updatedAt: { $lt: this.staleClaimCutoff() }
+            },
+            { status: ReminderDispatchStatus.EXPIRED }
+        );
+    }
+
+    buildMessage(notice) {
+        const { dateFromStart, dateToEnd } = notice.eventSchedule;
+        const when = dateFromStart === dateToEnd
+            ? `on ${dateFromStart}`
+            : `from ${dateFromStart} to ${dateToEnd}`;
+
+        return `Reminder: ${notice.title} ${when}. - ${notice.noticeInfo.organisationName}`;
+    }
+
+    // Claim, send and record a single reminder. Returns 'sent', 'failed' or 'skipped'.
+    async dispatch(notice, reminderDate, user) {
+        const dispatch = await this.claim(notice, reminderDate, user);
+        if (!dispatch) {
+            return 'skipped';
+        }
+
+        const attempt = {
+            attemptedAt: new Date(),
+            channel: this.config.channel.name
+        };
+
+        try {
+            const result = await this.config.channel.send({
+                to: dispatch.phone,
+                body: dispatch.message
+            });
+
+            dispatch.status = ReminderDispatchStatus.SENT;
+            dispatch.attempts.push({ ...attempt, status: ReminderDispatchStatus.SENT, messageId: result.id });
+            await dispatch.save();
+            return 'sent';
+        } catch (error) {
+            console.error(`Reminder to user ${dispatch.recipient} for notice ${notice._id} failed:`, error.message);
+            dispatch.status = ReminderDispatchStatus.FAILED;
+            dispatch.attempts.push({ ...attempt, status: ReminderDispatchStatus.FAILED, error: error.message });
+            await dispatch.save();
+            return 'failed';
+        }
+    }
+
+    // Atomically reserve a reminder for sending. Sent reminders are never claimed again; failed
+    // ones, and PENDING ones abandoned longer than claimTimeout, are retried until maxAttempts
+    // is reached.
+    async claim(notice, reminderDate, user) {
+        const key = {
+            notice: notice._id,
+            reminderDate,
+            recipient: user._id
+        };
+
+        try {
+            return await ReminderDispatch.create({
+                ...key,
+                phone: user.phone,
+                message: this.buildMessage(notice),
+                status: ReminderDispatchStatus.PENDING
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+
+        return ReminderDispatch.findOneAndUpdate(
+            {
+                ...key,
+                $or: [
+                    { status: ReminderDispatchStatus.FAILED },
+                    { status: ReminderDispatchStatus.PENDING, updatedAt: { $lt: this.staleClaimCutoff() } }
+                ],
+                [`attempts.${this.config.maxAttempts - 1}`]: { $exists: false }
+            },
+            { status: ReminderDispatchStatus.PENDING },
+            { new: true }
+        );
+    }
+}
+
+module.exports = ReminderService;
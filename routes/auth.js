@@ -1,27 +1,37 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const twilio = require('twilio');
+const { UserRole } = require('../models/User');
+const Student = require('../models/Student');
+const {
+    ROLE_PERMISSIONS,
+    ACCESS_TOKEN_EXPIRY_SECONDS,
+    generateAccessToken,
+    generateServiceToken,
+    authenticateToken,
+    hasPermission
+} = require('../middleware/auth');
+const { ServiceAccount } = require('../models/ServiceAccount');
+const { RefreshToken, RefreshTokenStatus } = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { LoginThrottle, LOGIN_THROTTLE } = require('../models/LoginThrottle');
+const { AuditLog, AuditAction } = require('../models/AuditLog');
 const crypto = require('crypto');
-const dotenv = require('dotenv');
-
-//dotenv.config(); // Load environment variables
-
-//const twilioClient = twilio(process.env.TWILIO_SID, process.env.TWILIO_AUTH_TOKEN);
+const { OtpResult, otpRecentlySent, sendOtp, verifyOtp } = require('../otp');
 
 // Configuration Constants
 const CONFIG = {
     REFRESH_TOKEN_SECRET: process.env.REFRESH_TOKEN_SECRET || "Principal_@_St_Joseph_Academy",
-    ACCESS_TOKEN_SECRET: process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy",
-    ACCESS_TOKEN_EXPIRY: '15m',
     REFRESH_TOKEN_EXPIRY: '7d',
     SALT_ROUNDS: 12,
     MIN_PASSWORD_LENGTH: 8,  // Aligned with Kotlin implementation
-    MAX_REFRESH_TOKENS: 3    // Limit number of refresh tokens per user
+    MAX_REFRESH_TOKENS: 3,   // Limit number of signed-in devices (token families) per user
+    RESET_TOKEN_SECRET: process.env.RESET_TOKEN_SECRET || "Reset_@_St_Joseph_Academy",
+    RESET_TOKEN_EXPIRY: '10m',
+    MAX_LINKED_STUDENTS: 10  // Children per guardian account
 };
 
 // Response Helpers: Create standardized responses for consistent API communication
@@ -42,56 +52,16 @@ const createResponse = {
 
 // Input Validation Middleware: Ensures data integrity before processing
 const validateInput = {
-	verifyUser : (req, res, next) => {
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                type: 'Error',
-                message: 'Authorization header missing or invalid format',
-                error: 'No token provided'
-            });
-        }
-
-        // Extract token (remove 'Bearer ' prefix)
-        const token = authHeader.split(' ')[1];
-
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Add user info to request object
-        req.user = {
-            userId: decoded.userId,
-            admissionNo: decoded.admissionNo
-        };
-        
-        next();
-    } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({
-                success: false,
-                type: 'Error',
-                message: 'Token has expired',
-                error: 'Token expired'
-            });
-        }
-        
-        return res.status(401).json({
-            success: false,
-            type: 'Error',
-            message: 'Invalid token',
-            error: error.message
-        });
-    }
-},
-
+    // Students and staff sign in with their admission number, guardians with their phone
     login: (req, res, next) => {
-        const { admissionNo, password } = req.body;
+        const { admissionNo, phone, password } = req.body;
         const errors = [];
 
-        if (!admissionNo || !admissionNo.match(/^\d{6}$/)) {
+        if (phone && !admissionNo) {
+            if (!String(phone).match(/^\d{10}$/)) {
+                errors.push({ field: 'phone', message: 'Phone number must be 10 digits' });
+            }
+        } else if (!admissionNo || !String(admissionNo).match(/^\d{6}$/)) {
             errors.push({ field: 'admissionNo', message: 'Admission number must be 6 digits' });
         }
 
@@ -135,60 +105,116 @@ const validateInput = {
             return res.status(400).json(createResponse.error('Validation failed', errors));
         }
         next();
+    },
+
+    guardianRegister: (req, res, next) => {
+        const { name, phone, password, admissionNos } = req.body;
+        const errors = [];
+
+        if (!name || name.length < 2) {
+            errors.push({ field: 'name', message: 'Name must be at least 2 characters' });
+        }
+
+        if (!phone || !String(phone).match(/^\d{10}$/)) {
+            errors.push({ field: 'phone', message: 'Phone number must be 10 digits' });
+        }
+
+        if (!password || password.length < CONFIG.MIN_PASSWORD_LENGTH) {
+            errors.push({ 
+                field: 'password', 
+                message: `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters` 
+            });
+        }
+
+        if (!Array.isArray(admissionNos) || admissionNos.length === 0 ||
+            admissionNos.length > CONFIG.MAX_LINKED_STUDENTS ||
+            !admissionNos.every(no => String(no).match(/^\d{6}$/))) {
+            errors.push({
+                field: 'admissionNos',
+                message: `Provide 1 to ${CONFIG.MAX_LINKED_STUDENTS} six-digit admission numbers`
+            });
+        }
+
+        if (errors.length) {
+            return res.status(400).json(createResponse.error('Validation failed', errors));
+        }
+        next();
+    }
+};
+
+// Guardian-only routes
+const requireGuardian = (req, res, next) => {
+    if (req.user.role !== UserRole.PARENT) {
+        return res.status(403).json(createResponse.error('Only guardian accounts can manage linked students'));
     }
+    next();
 };
 
-router.get('/user', validateInput.verifyUser, async (req, res) => {
+// Current User Route: "who am I" for the access token holder
+router.get('/user', authenticateToken, async (req, res) => {
     try {
-        // Find user by ID (from token)
-        const user = await User.findById(req.user.userId)
-            .select('-password'); // Exclude password from response
-        
+        const user = await User.findById(req.user.id);
         if (!user) {
-            return res.status(404).json({
-                success: false,
-                type: 'Error',
-                message: 'User not found',
-                error: 'User does not exist'
-            });
+            return res.status(404).json(createResponse.error('User not found'));
         }
 
-        // Return user data
-        return res.status(200).json({
-            success: true,
-            type: 'Success',
-            message: 'User retrieved successfully',
-            data: user
-        });
+        const admissionNos = user.role === UserRole.PARENT
+            ? (user.linkedStudents || []).map(child => child.admissionNo)
+            : [user.admissionNo];
+        const linkedStudents = await Student.find({ admissionNo: { $in: admissionNos }, active: true })
+            .select('admissionNo name grade section academicYear');
+
+        return res.status(200).json(createResponse.success('User retrieved successfully', {
+            ...formatUserResponse(user),
+            roles: [user.role],
+            permissions: ROLE_PERMISSIONS[user.role] || [],
+            linkedStudents
+        }));
     } catch (error) {
-        console.error('Error fetching user:', error);
-        return res.status(500).json({
-            success: false,
-            type: 'Error',
-            message: 'Failed to retrieve user',
-            error: error.message
-        });
+        handleServerError(res, error, 'Failed to retrieve user');
     }
 });
 
-
 // Login Route: Handles user authentication
 router.post('/login', validateInput.login, async (req, res) => {
     try {
-        const { admissionNo, password } = req.body;
+        const { password } = req.body;
+        const admissionNo = req.body.admissionNo ? String(req.body.admissionNo) : null;
+        const identifier = admissionNo || String(req.body.phone);
+
+        // Every attempt is reserved, and throttled ones refused, before the password is even checked
+        const throttle = await LoginThrottle.reserveAttempt(identifier);
+        if (!throttle.allowed) {
+            return rejectThrottledLogin(res, throttle);
+        }
         
-        const user = await User.findOne({ admissionNo }).select('+password');
-        if (!user) {
+        const user = await User.findOne(
+            admissionNo ? { admissionNo } : { phone: identifier, role: UserRole.PARENT }
+        ).select('+password');
+        const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+        if (!isMatch) {
+            const { locked } = await LoginThrottle.recordFailure(identifier);
+            if (locked) {
+                await AuditLog.record(AuditAction.ACCOUNT_LOCKED, {
+                    admissionNo,
+                    user: user ? user._id : null,
+                    req,
+                    details: {
+                        ...(!admissionNo && { phone: identifier }),
+                        lockDurationMs: LOGIN_THROTTLE.LOCK_DURATION_MS
+                    }
+                });
+            }
             return res.status(401).json(createResponse.error('Invalid credentials'));
         }
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(401).json(createResponse.error('Invalid credentials'));
+        await LoginThrottle.clearFailures(identifier);
+
+        if (user.role === UserRole.PARENT && !user.phoneVerified) {
+            return res.status(403).json(createResponse.error('Phone number not verified. Please register again to receive a new OTP'));
         }
 
-        const tokens = generateTokens(user);
-        await updateUserTokens(user, tokens.refreshToken);
+        const tokens = await generateTokens(user, req);
 
         return res.status(200).json(createResponse.success('Login successful', {
             ...tokens,
@@ -205,12 +231,9 @@ router.post('/register', validateInput.register, async (req, res) => {
     try {
         const { name, admissionNo, password, phone } = req.body;
 
-        // Validate admission number against pre-registered numbers
-        const admissionNumbersPath = path.join(__dirname, '../admissionNumbers.json');
-        const admissionNumbersData = await fs.readFile(admissionNumbersPath, 'utf8');
-        const admissionNumbers = JSON.parse(admissionNumbersData).admissionNumbers;
-
-        if (!admissionNumbers.includes(admissionNo)) {
+        // Validate admission number against the student roster
+        const student = await Student.findOne({ admissionNo, active: true });
+        if (!student) {
             return res.status(400).json(createResponse.error('Invalid admission number'));
         }
 
@@ -227,15 +250,15 @@ router.post('/register', validateInput.register, async (req, res) => {
             admissionNo,
             password: hashedPassword,
             phone,
-            refreshTokens: [],
+            grade: student.grade,
+            section: student.section,
             createdAt: currentDate,
             updatedAt: currentDate
         });
 
         await newUser.save();
 
-        const tokens = generateTokens(newUser);
-        await updateUserTokens(newUser, tokens.refreshToken);
+        const tokens = await generateTokens(newUser, req);
 
         res.status(201).json(createResponse.success('User registered successfully', {
             ...tokens,
@@ -246,7 +269,7 @@ router.post('/register', validateInput.register, async (req, res) => {
     }
 });
 
-// Token Refresh Route: Generates new access tokens
+// Token Refresh Route: Rotates the refresh token and issues a new access token
 router.post('/refresh-token', async (req, res) => {
     try {
         const { refreshToken } = req.body;
@@ -256,63 +279,277 @@ router.post('/refresh-token', async (req, res) => {
         }
 
         const decoded = jwt.verify(refreshToken, CONFIG.REFRESH_TOKEN_SECRET);
-        
+        if (!decoded.jti || !decoded.fid) {
+            return res.status(401).json(createResponse.error('Invalid refresh token'));
+        }
+
+        // Mark the presented token as used; only one request can win this update
+        const current = await RefreshToken.findOneAndUpdate(
+            { jti: decoded.jti, user: decoded.id, status: RefreshTokenStatus.ACTIVE },
+            { status: RefreshTokenStatus.ROTATED, rotatedAt: new Date() }
+        );
+
+        if (!current) {
+            // A rotated or revoked token was presented again: assume it was stolen
+            const known = await RefreshToken.exists({ jti: decoded.jti });
+            if (known) {
+                await RefreshToken.revokeWhere({ familyId: decoded.fid }, 'reuse-detected');
+                console.warn(`Refresh token reuse detected for user ${decoded.id}, family ${decoded.fid} revoked`);
+            }
+            return res.status(401).json(createResponse.error('Invalid refresh token'));
+        }
+
         const user = await User.findById(decoded.id);
-        if (!user || !user.refreshTokens.includes(refreshToken)) {
+        if (!user) {
             return res.status(401).json(createResponse.error('Invalid refresh token'));
         }
 
-        const newAccessToken = generateAccessToken(user);
+        const tokens = await generateTokens(user, req, current.familyId);
 
-        res.status(200).json(createResponse.success('Token refreshed successfully', {
-            accessToken: newAccessToken
-        }));
+        res.status(200).json(createResponse.success('Token refreshed successfully', tokens));
     } catch (error) {
         handleTokenError(res, error);
     }
 });
 
-// Helper Functions: Modular functions for token and response management
-function generateAccessToken(user) {
-    return jwt.sign(
-        { id: user._id },
-        CONFIG.ACCESS_TOKEN_SECRET,
-        { expiresIn: CONFIG.ACCESS_TOKEN_EXPIRY }
-    );
-}
+// Logout Route: Revokes the refresh token family of the current device
+router.post('/logout', async (req, res) => {
+    try {
+        const decoded = verifyRefreshTokenForLogout(req.body.refreshToken);
+        if (!decoded) {
+            return res.status(400).json(createResponse.error('Valid refresh token is required'));
+        }
+
+        await RefreshToken.revokeWhere({ familyId: decoded.fid, user: decoded.id }, 'logout');
+
+        res.status(200).json(createResponse.success('Logged out successfully'));
+    } catch (error) {
+        handleServerError(res, error, 'Logout failed');
+    }
+});
+
+// Logout All Route: Revokes every refresh token of the user, signing out all devices
+router.post('/logout-all', async (req, res) => {
+    try {
+        const decoded = verifyRefreshTokenForLogout(req.body.refreshToken);
+        if (!decoded) {
+            return res.status(400).json(createResponse.error('Valid refresh token is required'));
+        }
+
+        // The token must still belong to a live session, otherwise anyone holding an old token could sign the user out
+        const known = await RefreshToken.exists({ jti: decoded.jti, status: { $ne: RefreshTokenStatus.REVOKED } });
+        if (!known) {
+            return res.status(401).json(createResponse.error('Invalid refresh token'));
+        }
+
+        const result = await RefreshToken.revokeWhere({ user: decoded.id }, 'logout-all');
+
+        res.status(200).json(createResponse.success('Logged out from all devices', {
+            revokedTokens: result.modifiedCount
+        }));
+    } catch (error) {
+        handleServerError(res, error, 'Logout failed');
+    }
+});
+
+// Client Credentials Route: service accounts (e.g. the sync job) exchange their client id and
+// secret for a short-lived access token. Credentials may come in the body or as HTTP Basic auth.
+router.post('/token', async (req, res) => {
+    try {
+        const { clientId, clientSecret } = readClientCredentials(req);
+
+        if (req.body.grant_type && req.body.grant_type !== 'client_credentials') {
+            return res.status(400).json(createResponse.error('Unsupported grant_type'));
+        }
+
+        if (!clientId || !clientSecret) {
+            return res.status(400).json(createResponse.error('client_id and client_secret are required'));
+        }
+
+        const identifier = `client:${clientId}`;
+        const throttle = await LoginThrottle.reserveAttempt(identifier);
+        if (!throttle.allowed) {
+            return rejectThrottledLogin(res, throttle);
+        }
+
+        const account = await ServiceAccount.findOne({ clientId }).select('+secretHash');
+        if (!account || !account.active || !account.secretMatches(clientSecret)) {
+            await LoginThrottle.recordFailure(identifier);
+            await AuditLog.record(AuditAction.SERVICE_TOKEN_DENIED, {
+                serviceAccount: account ? { id: account._id, name: account.name } : null,
+                req,
+                details: { clientId, reason: account && !account.active ? 'disabled' : 'invalid-credentials' }
+            });
+            return res.status(401).json(createResponse.error('Invalid client credentials'));
+        }
+
+        await LoginThrottle.clearFailures(identifier);
+        account.lastUsedAt = new Date();
+        await account.save();
 
-function generateRefreshToken(user) {
-    return jwt.sign(
-        { id: user._id },
+        await AuditLog.record(AuditAction.SERVICE_TOKEN_ISSUED, {
+            serviceAccount: { id: account._id, name: account.name },
+            req,
+            details: { clientId, scopes: account.scopes }
+        });
+
+        res.status(200).json(createResponse.success('Access token issued', {
+            accessToken: generateServiceToken(account),
+            tokenType: 'Bearer',
+            expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS,
+            scopes: account.scopes
+        }));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to issue access token');
+    }
+});
+
+// Sessions Route: devices the user is signed in on. Admins can pass ?userId= to see anyone's.
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.query.userId ? String(req.query.userId) : req.user.id;
+
+        if (userId !== req.user.id && !hasPermission(req.user.role, 'users:manage')) {
+            return res.status(403).json(createResponse.error('You do not have permission to perform this action'));
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json(createResponse.error('Invalid user ID format'));
+        }
+
+        // A session is live while its refresh token family still has a usable token
+        const familyIds = await RefreshToken.distinct('familyId', {
+            user: userId,
+            status: RefreshTokenStatus.ACTIVE,
+            expiresAt: { $gt: new Date() }
+        });
+        const sessions = await Session.find({ user: userId, familyId: { $in: familyIds } })
+            .sort({ lastUsedAt: -1 });
+
+        res.status(200).json(createResponse.success('Sessions retrieved successfully',
+            sessions.map(session => formatSessionResponse(session, req.user.sessionId))
+        ));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to retrieve sessions');
+    }
+});
+
+// Revoke Session Route: signs one device out. Its current access token stays valid until it expires (15 minutes).
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json(createResponse.error('Invalid session ID format'));
+        }
+
+        const session = await Session.findById(req.params.id);
+        const isOwner = session && session.user.toString() === req.user.id;
+
+        // Other users' sessions look the same as missing ones unless the caller is an admin
+        if (!session || (!isOwner && !hasPermission(req.user.role, 'users:manage'))) {
+            return res.status(404).json(createResponse.error('Session not found'));
+        }
+
+        const reason = isOwner ? 'session-revoked' : 'admin-revoked';
+        await RefreshToken.revokeWhere({ familyId: session.familyId }, reason);
+
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            session.revokedReason = reason;
+            await session.save();
+        }
+
+        await AuditLog.record(AuditAction.SESSION_REVOKED, {
+            user: session.user,
+            actor: req.user.id,
+            req,
+            details: { sessionId: session._id.toString(), deviceName: session.deviceName, reason }
+        });
+
+        res.status(200).json(createResponse.success('Session revoked successfully',
+            formatSessionResponse(session, req.user.sessionId)
+        ));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to revoke session');
+    }
+});
+
+// Helper Functions: Modular functions for token and response management
+// Refresh tokens carry their family (fid) and a unique id (jti) recorded in the RefreshToken collection
+async function generateRefreshToken(user, familyId) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+        { id: user._id, fid: familyId, jti },
         CONFIG.REFRESH_TOKEN_SECRET,
         { expiresIn: CONFIG.REFRESH_TOKEN_EXPIRY }
     );
+
+    await RefreshToken.create({
+        user: user._id,
+        familyId,
+        jti,
+        expiresAt: new Date(jwt.decode(token).exp * 1000)
+    });
+
+    return token;
 }
 
-function generateTokens(user) {
+// Issue an access/refresh token pair. Without a familyId this is a new login: a new family and
+// a new session record for the device. Otherwise the existing session is marked as used.
+async function generateTokens(user, req, familyId = null) {
+    const isNewSession = !familyId;
+    if (isNewSession) {
+        familyId = crypto.randomUUID();
+        await limitTokenFamilies(user);
+    }
+
+    const refreshToken = await generateRefreshToken(user, familyId);
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    if (isNewSession) {
+        await Session.create({
+            user: user._id,
+            familyId,
+            ...Session.deviceFromRequest(req),
+            lastUsedAt: new Date(),
+            expiresAt
+        });
+    } else {
+        await Session.updateOne(
+            { familyId },
+            { lastUsedAt: new Date(), ip: req.ip || null, expiresAt }
+        );
+    }
+
     return {
-        accessToken: generateAccessToken(user),
-        refreshToken: generateRefreshToken(user)
+        accessToken: generateAccessToken(user, familyId),
+        refreshToken
     };
 }
 
-async function updateUserTokens(user, newRefreshToken) {
-    user.refreshTokens = user.refreshTokens.filter(token => {
-        try {
-            jwt.verify(token, CONFIG.REFRESH_TOKEN_SECRET);
-            return true;
-        } catch {
-            return false;
-        }
-    });
+// Keep at most MAX_REFRESH_TOKENS - 1 signed-in families before a new login, revoking the oldest
+async function limitTokenFamilies(user) {
+    const active = await RefreshToken.find({
+        user: user._id,
+        status: RefreshTokenStatus.ACTIVE,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: 1 });
+
+    const excess = active.length - (CONFIG.MAX_REFRESH_TOKENS - 1);
+    if (excess > 0) {
+        const familyIds = active.slice(0, excess).map(token => token.familyId);
+        await RefreshToken.revokeWhere({ familyId: { $in: familyIds } }, 'session-limit');
+    }
+}
 
-    // Limit number of refresh tokens
-    if (user.refreshTokens.length >= CONFIG.MAX_REFRESH_TOKENS) {
-        user.refreshTokens.shift(); // Remove oldest token
+// Logout accepts expired refresh tokens so a user can always sign a device out
+function verifyRefreshTokenForLogout(refreshToken) {
+    if (!refreshToken) return null;
+    try {
+        const decoded = jwt.verify(refreshToken, CONFIG.REFRESH_TOKEN_SECRET, { ignoreExpiration: true });
+        return decoded.fid && decoded.jti ? decoded : null;
+    } catch {
+        return null;
     }
-    
-    user.refreshTokens.push(newRefreshToken);
-    await user.save();
 }
 
 function formatUserResponse(user) {
@@ -321,11 +558,62 @@ function formatUserResponse(user) {
         name: user.name,
         admissionNo: user.admissionNo,
         phone: user.phone,
+        role: user.role,
+        grade: user.grade,
+        section: user.section,
+        ...(user.role === UserRole.PARENT && { linkedStudents: user.linkedStudents || [] }),
         createdAt: user.createdAt,  // Already in YYYY-MM-DD format
         updatedAt: user.updatedAt   // Already in YYYY-MM-DD format
     };
 }
 
+function readClientCredentials(req) {
+    const header = req.headers['authorization'] || '';
+    if (/^Basic\s+/i.test(header)) {
+        const decoded = Buffer.from(header.replace(/^Basic\s+/i, ''), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator > 0) {
+            return { clientId: decoded.slice(0, separator), clientSecret: decoded.slice(separator + 1) };
+        }
+    }
+
+    return {
+        clientId: req.body.client_id ? String(req.body.client_id) : null,
+        clientSecret: req.body.client_secret ? String(req.body.client_secret) : null
+    };
+}
+
+function formatSessionResponse(session, currentSessionId) {
+    return {
+        id: session._id.toString(),
+        deviceName: session.deviceName,
+        platform: session.platform,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        revokedAt: session.revokedAt,
+        current: session.familyId === currentSessionId
+    };
+}
+
+// 423 while the account is locked, 429 while a progressive delay is running
+function rejectThrottledLogin(res, throttle) {
+    const retryAfterSeconds = Math.ceil(throttle.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfterSeconds));
+
+    if (throttle.locked) {
+        return res.status(423).json(createResponse.error(
+            'Account temporarily locked after too many failed login attempts',
+            { retryAfterSeconds }
+        ));
+    }
+
+    return res.status(429).json(createResponse.error(
+        'Too many failed login attempts, please wait before trying again',
+        { retryAfterSeconds }
+    ));
+}
+
 function handleServerError(res, error, defaultMessage) {
     console.error(error);
     const errorMessage = process.env.NODE_ENV === 'development' 
@@ -339,83 +627,310 @@ function handleTokenError(res, error) {
     if (error instanceof jwt.TokenExpiredError) {
         return res.status(401).json(createResponse.error('Refresh token expired'));
     }
-    
+
+    if (error instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json(createResponse.error('Invalid refresh token'));
+    }
+
+    console.error(error);
+
     res.status(500).json(createResponse.error('Token refresh failed'));
 }
-/*
+// Password Reset: OTP is sent to the phone on file for the admission number (guardians send only their phone)
 router.post('/forgot-password', async (req, res) => {
+    // Same response whether or not the details match, so accounts cannot be probed
+    const genericResponse = createResponse.success('If the details match an account, an OTP has been sent');
+
     try {
-        const { phone } = req.body;
+        const { admissionNo, phone } = req.body;
 
-        const user = await User.findOne({ phone });
-        if (!user) {
-            return res.status(404).json(createResponse.error('User not found'));
+        if (!phone) {
+            return res.status(400).json(createResponse.error('Admission number and phone are required'));
         }
 
-        // Generate a 6-digit OTP
-        const otp = crypto.randomInt(100000, 999999).toString();
-        const otpExpiry = Date.now() + 5 * 60 * 1000; // OTP valid for 5 minutes
+        const user = await findResetUser(admissionNo, phone);
+        if (!user || user.phone !== String(phone)) {
+            return res.status(200).json(genericResponse);
+        }
 
-        user.otp = otp;
-        user.otpExpiry = otpExpiry;
-        await user.save();
+        if (otpRecentlySent(user)) {
+            return res.status(429).json(createResponse.error('Please wait before requesting another OTP'));
+        }
 
-        // Send OTP via SMS
-        await twilioClient.messages.create({
-            body: `Your OTP for password reset is: ${otp}`,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: phone
-        });
+        await sendOtp(user, 'password-reset', otp => `Your St. Joseph Academy password reset OTP is ${otp}. It expires in 5 minutes.`);
 
-        res.status(200).json(createResponse.success('OTP sent successfully'));
+        res.status(200).json(genericResponse);
     } catch (error) {
         console.error('Error sending OTP:', error);
         res.status(500).json(createResponse.error('Failed to send OTP'));
     }
 });
 
+// OTP Verification: exchanges a valid OTP for a short-lived, single-use reset token
 router.post('/verify-otp', async (req, res) => {
     try {
-        const { phone, otp } = req.body;
+        const { admissionNo, phone, otp } = req.body;
+
+        if ((!admissionNo && !phone) || !otp) {
+            return res.status(400).json(createResponse.error('Admission number and OTP are required'));
+        }
 
-        const user = await User.findOne({ phone });
-        if (!user || user.otp !== otp || user.otpExpiry < Date.now()) {
-            return res.status(400).json(createResponse.error('Invalid or expired OTP'));
+        const user = await findResetUser(admissionNo, phone).select('+otp');
+        if (!(await checkOtp(res, user, 'password-reset', otp))) {
+            return;
         }
 
-        // OTP is valid; allow password reset
-        res.status(200).json(createResponse.success('OTP verified successfully'));
+        const resetId = crypto.randomUUID();
+        user.passwordResetId = resetId;
+        await user.save();
+
+        const resetToken = jwt.sign(
+            { id: user._id, purpose: 'password-reset', jti: resetId },
+            CONFIG.RESET_TOKEN_SECRET,
+            { expiresIn: CONFIG.RESET_TOKEN_EXPIRY }
+        );
+
+        res.status(200).json(createResponse.success('OTP verified successfully', { resetToken }));
     } catch (error) {
         console.error('OTP verification error:', error);
         res.status(500).json(createResponse.error('Failed to verify OTP'));
     }
 });
 
-
+// Password Reset: requires the reset token from verify-otp and signs the user out everywhere
 router.post('/reset-password', async (req, res) => {
     try {
-        const { phone, newPassword } = req.body;
+        const { resetToken, newPassword } = req.body;
 
-        const user = await User.findOne({ phone });
-        if (!user) {
-            return res.status(400).json(createResponse.error('User not found'));
+        if (!resetToken) {
+            return res.status(400).json(createResponse.error('Reset token is required'));
+        }
+
+        if (!newPassword || newPassword.length < CONFIG.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json(createResponse.error('Validation failed', [{
+                field: 'newPassword',
+                message: `Password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters`
+            }]));
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(resetToken, CONFIG.RESET_TOKEN_SECRET);
+        } catch (error) {
+            return res.status(400).json(createResponse.error('Invalid or expired reset token'));
+        }
+
+        const user = await User.findById(decoded.id).select('+passwordResetId');
+        if (!user || decoded.purpose !== 'password-reset' || !user.passwordResetId ||
+            user.passwordResetId !== decoded.jti) {
+            return res.status(400).json(createResponse.error('Invalid or expired reset token'));
         }
 
         // Hash the new password
-        const hashedPassword = await bcrypt.hash(newPassword, CONFIG.SALT_ROUNDS);
-        user.password = hashedPassword;
+        user.password = await bcrypt.hash(newPassword, CONFIG.SALT_ROUNDS);
+        user.passwordResetId = null;
 
-        // Clear OTP fields
-        user.otp = undefined;
-        user.otpExpiry = undefined;
         await user.save();
 
+        // Revoke all existing sessions
+        await RefreshToken.revokeWhere({ user: user._id }, 'password-reset');
+
         res.status(200).json(createResponse.success('Password reset successfully'));
     } catch (error) {
         console.error('Password reset error:', error);
         res.status(500).json(createResponse.error('Failed to reset password'));
     }
 });
-*/
+
+// Guardian Registration: links the guardian to their children on the roster and sends an OTP
+// to the guardian phone on file. The account can sign in once the phone is verified.
+router.post('/guardian/register', validateInput.guardianRegister, async (req, res) => {
+    try {
+        const { name, password } = req.body;
+        const phone = String(req.body.phone);
+        const admissionNos = [...new Set(req.body.admissionNos.map(String))];
+
+        const { students, unmatched } = await findGuardianStudents(admissionNos, phone);
+        if (unmatched.length) {
+            return res.status(400).json(createResponse.error(
+                'Some admission numbers are not registered to this guardian phone',
+                unmatched.map(admissionNo => ({ field: 'admissionNos', admissionNo }))
+            ));
+        }
+
+        // An unverified registration for the same phone is replaced rather than blocking the real guardian
+        let guardian = await User.findOne({ phone, role: UserRole.PARENT });
+        if (guardian && guardian.phoneVerified) {
+            return res.status(400).json(createResponse.error('Phone number already registered'));
+        }
+
+        if (guardian && otpRecentlySent(guardian)) {
+            return res.status(429).json(createResponse.error('Please wait before requesting another OTP'));
+        }
+
+        const currentDate = new Date().toISOString().split('T')[0]; // Match LocalDate format
+        guardian = guardian || new User({ phone, role: UserRole.PARENT, createdAt: currentDate });
+        guardian.name = name;
+        guardian.password = await bcrypt.hash(password, CONFIG.SALT_ROUNDS);
+        guardian.linkedStudents = students.map(toLinkedStudent);
+        guardian.updatedAt = currentDate;
+
+        await sendOtp(guardian, 'guardian-verify', otp => `Your St. Joseph Academy guardian verification OTP is ${otp}. It expires in 5 minutes.`);
+
+        res.status(201).json(createResponse.success('OTP sent to verify the guardian phone number', {
+            phone,
+            linkedStudents: guardian.linkedStudents
+        }));
+    } catch (error) {
+        handleServerError(res, error, 'Guardian registration failed');
+    }
+});
+
+// Guardian Phone Verification: completes registration and signs the guardian in
+router.post('/guardian/verify-phone', async (req, res) => {
+    try {
+        const { phone, otp } = req.body;
+
+        if (!phone || !otp) {
+            return res.status(400).json(createResponse.error('Phone and OTP are required'));
+        }
+
+        const guardian = await User.findOne({ phone: String(phone), role: UserRole.PARENT }).select('+otp');
+        if (!(await checkOtp(res, guardian, 'guardian-verify', otp))) {
+            return;
+        }
+
+        guardian.phoneVerified = true;
+        await guardian.save();
+
+        const tokens = await generateTokens(guardian, req);
+
+        res.status(200).json(createResponse.success('Phone verified successfully', {
+            ...tokens,
+            user: formatUserResponse(guardian)
+        }));
+    } catch (error) {
+        handleServerError(res, error, 'Phone verification failed');
+    }
+});
+
+// Linked Students: guardians can add a child whose roster entry has their phone, or remove one
+router.get('/guardian/children', authenticateToken, requireGuardian, async (req, res) => {
+    try {
+        const guardian = await User.findById(req.user.id);
+        if (!guardian) {
+            return res.status(404).json(createResponse.error('User not found'));
+        }
+
+        res.status(200).json(createResponse.success('Linked students retrieved successfully', guardian.linkedStudents || []));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to retrieve linked students');
+    }
+});
+
+router.post('/guardian/children', authenticateToken, requireGuardian, async (req, res) => {
+    try {
+        const admissionNo = String(req.body.admissionNo || '');
+        if (!admissionNo.match(/^\d{6}$/)) {
+            return res.status(400).json(createResponse.error('Validation failed', [{
+                field: 'admissionNo',
+                message: 'Admission number must be 6 digits'
+            }]));
+        }
+
+        const guardian = await User.findById(req.user.id);
+        if (!guardian) {
+            return res.status(404).json(createResponse.error('User not found'));
+        }
+
+        const linked = guardian.linkedStudents || [];
+        if (linked.some(child => child.admissionNo === admissionNo)) {
+            return res.status(400).json(createResponse.error('Student is already linked to this account'));
+        }
+
+        if (linked.length >= CONFIG.MAX_LINKED_STUDENTS) {
+            return res.status(400).json(createResponse.error(`A guardian can link at most ${CONFIG.MAX_LINKED_STUDENTS} students`));
+        }
+
+        const { students } = await findGuardianStudents([admissionNo], guardian.phone);
+        if (!students.length) {
+            return res.status(400).json(createResponse.error('Admission number is not registered to this guardian phone'));
+        }
+
+        guardian.linkedStudents = [...linked, toLinkedStudent(students[0])];
+        await guardian.save();
+
+        res.status(201).json(createResponse.success('Student linked successfully', guardian.linkedStudents));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to link student');
+    }
+});
+
+router.delete('/guardian/children/:admissionNo', authenticateToken, requireGuardian, async (req, res) => {
+    try {
+        const guardian = await User.findById(req.user.id);
+        if (!guardian) {
+            return res.status(404).json(createResponse.error('User not found'));
+        }
+
+        const linked = guardian.linkedStudents || [];
+        const remaining = linked.filter(child => child.admissionNo !== req.params.admissionNo);
+        if (remaining.length === linked.length) {
+            return res.status(404).json(createResponse.error('Student is not linked to this account'));
+        }
+
+        guardian.linkedStudents = remaining;
+        await guardian.save();
+
+        res.status(200).json(createResponse.success('Student unlinked successfully', guardian.linkedStudents));
+    } catch (error) {
+        handleServerError(res, error, 'Failed to unlink student');
+    }
+});
+
+// Guardian Helpers: a child can only be linked when the roster lists the guardian's phone
+async function findGuardianStudents(admissionNos, phone) {
+    const students = await Student.find({ admissionNo: { $in: admissionNos }, active: true });
+    const matched = students.filter(student => student.guardianPhone === phone);
+    const matchedNos = new Set(matched.map(student => student.admissionNo));
+
+    return {
+        students: matched,
+        unmatched: admissionNos.filter(admissionNo => !matchedNos.has(admissionNo))
+    };
+}
+
+function toLinkedStudent(student) {
+    return {
+        admissionNo: student.admissionNo,
+        name: student.name,
+        grade: student.grade,
+        section: student.section
+    };
+}
+
+// Password resets identify students by admission number and guardians by phone
+function findResetUser(admissionNo, phone) {
+    return admissionNo
+        ? User.findOne({ admissionNo: String(admissionNo) })
+        : User.findOne({ phone: String(phone), role: UserRole.PARENT });
+}
+
+// Check and consume an OTP. Sends the error response and returns false when it doesn't match.
+async function checkOtp(res, user, purpose, otp) {
+    const result = await verifyOtp(user, purpose, otp);
+
+    if (result === OtpResult.TOO_MANY_ATTEMPTS) {
+        res.status(429).json(createResponse.error('Too many attempts. Please request a new OTP'));
+        return false;
+    }
+
+    if (result !== OtpResult.VALID) {
+        res.status(400).json(createResponse.error('Invalid or expired OTP'));
+        return false;
+    }
+
+    return true;
+}
 
 module.exports = router;
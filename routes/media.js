@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const { authenticateToken, authenticateTokenOrService, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { applyLegacyRecord, toLegacySyncResult } = require('../deltaSync');
 const fs = require('fs').promises;
 const mongoose = require('mongoose');
 const path = require('path');
 const Media = require('../models/Media');
+const { PaginationError, parsePagination, paginateQuery, paginateArray } = require('../pagination');
+const { tokenize } = require('../search');
+const { readLocalRecords, findLocalRecord } = require('../localData');
+const { isDatabaseOnline } = require('../offlineJournal');
 
 // Path to local media JSON
 const LOCAL_MEDIA_PATH = path.join(__dirname, '..', 'local_media.json');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy";
+// Sort options for list endpoints
+const MEDIA_PAGINATION = {
+    sortFields: {
+        dateUploaded: 'dateUploaded',
+        title: 'title',
+        size: 'size'
+    },
+    defaultSort: 'dateUploaded'
+};
 
 // Helper function to get current date and time in ISO format
 const getCurrentDateTime = () => {
@@ -31,83 +45,170 @@ const createResponse = (success, type, message, data = null, error = null) => {
     };
 };
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    
-    // Debugging logs
-    //console.log('Full Authorization Header(Media): \n', authHeader,"\n");
+// Get all media
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, MEDIA_PAGINATION);
 
-    // Corrected token extraction
-    const token = authHeader && authHeader.split(' ').pop();
+        if (!isDatabaseOnline()) {
+            const localPage = paginateArray(await readLocalRecords('media'), pagination);
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    'Media retrieved from local storage',
+                    localPage.items
+                ),
+                pagination: localPage.pagination
+            });
+        }
 
-    //console.log('Extracted Token(Media): \n', token,"\n");
+        const page = await paginateQuery(Media, {}, pagination);
 
-    if (!token) {
-        return res.status(401).json(createResponse(
-            false,
-            "Error",
-            'Access token is required'
-        ));
-    }
+        // Transform to use _id as id
+        const transformedMedia = page.items.map(mediaItem => {
+            const mediaObj = mediaItem.toObject();
+            return {
+                ...mediaObj,
+                id: mediaObj._id.toString()
+            };
+        });
 
-    try {
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        req.userId = decoded.id;
-        next();
+        return res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Media retrieved successfully',
+                transformedMedia
+            ),
+            pagination: page.pagination
+        });
     } catch (error) {
-        console.error('Token Verification Error:', error);
-        return res.status(403).json(createResponse(
+        res.status(error.status || 500).json(createResponse(
             false,
             "Error",
-            'Invalid or expired token',
+            error instanceof PaginationError ? error.message : 'Error retrieving media',
             null,
-            process.env.NODE_ENV === 'development' ? error.message : undefined
+            error.message
         ));
     }
-};
+});
 
-// Get all media
-router.get('/', authenticateToken, async (req, res) => {
+// Filter media
+router.get('/filter', authenticateToken, async (req, res) => {
     try {
-        const media = await Media.find().sort({ dateUploaded: -1 });
-        
-        if (media && media.length > 0) {
-            // Transform to use _id as id
-            const transformedMedia = media.map(mediaItem => {
-                const mediaObj = mediaItem.toObject();
-                return {
-                    ...mediaObj,
-                    id: mediaObj._id.toString()
-                };
+        const { 
+            startDate, 
+            endDate, 
+            type, 
+            searchQuery 
+        } = req.query;
+
+        const pagination = parsePagination(req.query, MEDIA_PAGINATION);
+
+        // Build filter object
+        let filter = {};
+
+        // Date range filter
+        if (startDate && endDate) {
+            filter.dateUploaded = { 
+                $gte: startDate,
+                $lte: endDate 
+            };
+        }
+
+        // Media type filter
+        if (type) {
+            filter.type = type;
+        }
+
+        // Search query for title through the text index
+        if (searchQuery) {
+            filter.$text = { $search: searchQuery };
+        }
+
+        // The local copy is only used while the database is offline; its offset cursors don't
+        // mix with the database's keyset cursors
+        if (isDatabaseOnline()) {
+            const page = await paginateQuery(Media, filter, pagination);
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    page.items.length > 0 ? 'Filtered media retrieved successfully' : 'No media found matching the filter criteria',
+                    page.items
+                ),
+                pagination: page.pagination
+            });
+        }
+
+        try {
+            const localMediaData = await fs.readFile(LOCAL_MEDIA_PATH, 'utf8');
+            const localMedia = JSON.parse(localMediaData).media;
+
+            const filteredLocalMedia = localMedia.filter(mediaItem => {
+                let matches = true;
+
+                // Date range filter
+                if (startDate && endDate) {
+                    matches = matches && 
+                        mediaItem.dateUploaded >= startDate &&
+                        mediaItem.dateUploaded <= endDate;
+                }
+
+                // Media type filter
+                if (type) {
+                    matches = matches && mediaItem.type === type;
+                }
+
+                // Search query, any term matching the title
+                if (searchQuery) {
+                    const title = (mediaItem.title || '').toLowerCase();
+                    matches = matches && tokenize(searchQuery).some(term => title.includes(term));
+                }
+
+                return matches;
             });
 
-            return res.status(200).json(createResponse(
+            if (filteredLocalMedia.length > 0) {
+                const localPage = paginateArray(filteredLocalMedia, pagination);
+                return res.status(200).json({
+                    ...createResponse(
+                        true,
+                        "Success",
+                        'Filtered media retrieved from local storage',
+                        localPage.items
+                    ),
+                    pagination: localPage.pagination
+                });
+            }
+        } catch (localError) {
+            console.error('Error reading local media:', localError);
+        }
+
+        return res.status(200).json({
+            ...createResponse(
                 true,
                 "Success",
-                'Media retrieved successfully',
-                transformedMedia
-            ));
-        }
+                'No media found matching the filter criteria',
+                []
+            ),
+            pagination: paginateArray([], pagination).pagination
+        });
 
-        return res.status(404).json(createResponse(
-            false,
-            "Error",
-            'No media found'
-        ));
     } catch (error) {
-        res.status(500).json(createResponse(
+        res.status(error.status || 500).json(createResponse(
             false,
             "Error",
-            'Error retrieving media',
+            error instanceof PaginationError ? error.message : 'Error filtering media',
             null,
             error.message
         ));
     }
 });
 
-// Sync local media
-router.post('/sync-local', authenticateToken, async (req, res) => {
+// Sync local media (legacy full upload, kept for older clients; AuthSyncService uses /api/sync)
+router.post('/sync-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
     try {
         const { media } = req.body;
 
@@ -126,22 +227,21 @@ router.post('/sync-local', authenticateToken, async (req, res) => {
 
         for (const mediaItem of media) {
             try {
-                // Check if media already exists using multiple fields for matching
-                const existingMedia = await Media.findOne({
-                    $and: [
-                        { title: mediaItem.title },
-                        { url: mediaItem.url },
-                        { type: mediaItem.type }
-                    ]
-                });
+                // Check if media already exists, by uuid when the client sent one
+                const existingMedia = await Media.findOne(mediaItem.uuid
+                    ? { uuid: String(mediaItem.uuid).toLowerCase() }
+                    : {
+                        $and: [
+                            { title: mediaItem.title },
+                            { url: mediaItem.url },
+                            { type: mediaItem.type }
+                        ]
+                    });
 
                 if (existingMedia) {
-                    // Media already exists, skip creation
-                    results.success.push({
-                        id: existingMedia._id.toString(),
-                        status: 'skipped',
-                        message: 'Media already exists'
-                    });
+                    // Uploads that differ from the server copy are settled by the media conflict policy
+                    const outcome = await applyLegacyRecord('media', existingMedia, mediaItem, req);
+                    results.success.push(toLegacySyncResult(outcome, 'Media'));
                     continue;
                 }
 
@@ -173,6 +273,8 @@ router.post('/sync-local', authenticateToken, async (req, res) => {
                     total: media.length,
                     created: results.success.filter(r => r.status === 'created').length,
                     skipped: results.success.filter(r => r.status === 'skipped').length,
+                    updated: results.success.filter(r => r.status === 'updated').length,
+                    conflict: results.success.filter(r => r.status === 'conflict').length,
                     failed: results.failed.length
                 }
             }
@@ -205,7 +307,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         ];
 
         // Try each query strategy until we find a match
-        for (const query of queries) {
+        for (const query of isDatabaseOnline() ? queries : []) {
             mediaItem = await Media.findOne(query);
             if (mediaItem) break;
         }
@@ -213,9 +315,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         // If still not found in database, check local storage
         if (!mediaItem) {
             try {
-                const localMediaData = await fs.readFile(LOCAL_MEDIA_PATH, 'utf8');
-                const localMedia = JSON.parse(localMediaData).media;
-                mediaItem = localMedia.find(m => m.id === id || m._id === id);
+                mediaItem = findLocalRecord(await readLocalRecords('media'), id);
 
                 if (mediaItem) {
                     return res.status(200).json(createResponse(
@@ -267,7 +367,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update local media storage
-router.post('/update-local', authenticateToken, async (req, res) => {
+router.post('/update-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
     try {
         const media = await Media.find().sort({ dateUploaded: -1 });
         
@@ -300,14 +400,15 @@ router.post('/update-local', authenticateToken, async (req, res) => {
 });
 
 // Create new media
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, authorize('media:write'), idempotent, async (req, res) => {
     try {
         const { 
             title, 
             type, 
             url, 
             thumbnailUrl, 
-            size 
+            size,
+            uuid
         } = req.body;
 
         if (!title || !type || !url || !size) {
@@ -318,8 +419,23 @@ router.post('/', authenticateToken, async (req, res) => {
             ));
         }
 
+        const online = isDatabaseOnline();
+
+        if (uuid && online) {
+            const existing = await Media.findOne({ uuid: String(uuid).toLowerCase() });
+            if (existing) {
+                return res.status(409).json(createResponse(
+                    false,
+                    "Error",
+                    'Media with this uuid already exists',
+                    existing
+                ));
+            }
+        }
+
         const { date, time } = getCurrentDateTime();
         const newMedia = new Media({
+            ...(uuid && { uuid }),
             title,
             type,
             url,
@@ -327,9 +443,23 @@ router.post('/', authenticateToken, async (req, res) => {
             size,
             dateUploaded: date,
             timeUploaded: time,
-            user: req.userId  // Use authenticated user's ID
+            user: req.user.id  // Use authenticated user's ID
         });
 
+        if (!online) {
+            await newMedia.validate();
+            const record = { ...newMedia.toObject(), id: newMedia._id.toString() };
+            const journal = req.app.get('offlineJournal');
+            const entry = await journal.enqueue('media', { op: 'upsert', id: record.id, uuid: record.uuid, record }, req);
+
+            return res.status(202).json(createResponse(
+                true,
+                "Success",
+                'Database offline, media queued for saving',
+                journal.toResponseData(entry)
+            ));
+        }
+
         const savedMedia = await newMedia.save();
         res.status(201).json(createResponse(
             true,
@@ -338,114 +468,17 @@ router.post('/', authenticateToken, async (req, res) => {
             savedMedia
         ));
     } catch (error) {
-        res.status(500).json(createResponse(
-            false,
-            "Error",
-            'Error creating media',
-            null,
-            error.message
-        ));
-    }
-});
-
-// Filter media
-router.get('/filter', authenticateToken, async (req, res) => {
-    try {
-        const { 
-            startDate, 
-            endDate, 
-            type, 
-            searchQuery 
-        } = req.query;
-
-        // Build filter object
-        let filter = {};
-
-        // Date range filter
-        if (startDate && endDate) {
-            filter.dateUploaded = { 
-                $gte: startDate,
-                $lte: endDate 
-            };
-        }
-
-        // Media type filter
-        if (type) {
-            filter.type = type;
-        }
-
-        // Search query for title
-        if (searchQuery) {
-            filter.title = { 
-                $regex: new RegExp(searchQuery, 'i') 
-            };
-        }
-
-        // First try to get filtered media from database
-        const media = await Media.find(filter)
-            .sort({ dateUploaded: -1 });
-
-        if (media && media.length > 0) {
-            return res.status(200).json(createResponse(
-                true,
-                "Success",
-                'Filtered media retrieved successfully',
-                media
+        if (error.code === 11000) {
+            return res.status(409).json(createResponse(
+                false,
+                "Error",
+                'Media with this uuid already exists'
             ));
         }
-
-        // If no media in database, try filtering local media
-        try {
-            const localMediaData = await fs.readFile(LOCAL_MEDIA_PATH, 'utf8');
-            const localMedia = JSON.parse(localMediaData).media;
-
-            const filteredLocalMedia = localMedia.filter(mediaItem => {
-                let matches = true;
-
-                // Date range filter
-                if (startDate && endDate) {
-                    matches = matches && 
-                        mediaItem.dateUploaded >= startDate &&
-                        mediaItem.dateUploaded <= endDate;
-                }
-
-                // Media type filter
-                if (type) {
-                    matches = matches && mediaItem.type === type;
-                }
-
-                // Search query
-                if (searchQuery) {
-                    const searchRegex = new RegExp(searchQuery, 'i');
-                    matches = matches && searchRegex.test(mediaItem.title);
-                }
-
-                return matches;
-            });
-
-            if (filteredLocalMedia.length > 0) {
-                return res.status(206).json(createResponse(
-                    true,
-                    "Success",
-                    'Filtered media retrieved from local storage',
-                    filteredLocalMedia
-                ));
-            }
-        } catch (localError) {
-            console.error('Error reading local media:', localError);
-        }
-
-        return res.status(404).json(createResponse(
+        res.status(error.name === 'ValidationError' ? 400 : 500).json(createResponse(
             false,
             "Error",
-            'No media found matching the filter criteria'
-        ));
-
-    } catch (error) {
-        res.status(500).json(createResponse(
-            false,
-            "Error",
-            'Error filtering media',
+            'Error creating media',
             null,
             error.message
         ));
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const NoticeTemplate = require('../models/NoticeTemplate');
+
+// Fields that can be set when creating or updating a template
+const TEMPLATE_FIELDS = [
+    'name', 'description', 'title', 'noticeInfo', 'audience', 'priority', 'requiresAcknowledgement', 'variables'
+];
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Normalise noticeDetails to an array of strings, as validateNoticeDetails does for notices
+const validateTemplateDetails = (req, res, next) => {
+    const { noticeInfo } = req.body;
+    if (!noticeInfo || noticeInfo.noticeDetails === undefined) {
+        return next();
+    }
+
+    if (typeof noticeInfo.noticeDetails === 'string') {
+        req.body.noticeInfo.noticeDetails = [noticeInfo.noticeDetails];
+    }
+
+    if (!Array.isArray(req.body.noticeInfo.noticeDetails) ||
+        !req.body.noticeInfo.noticeDetails.every(detail => typeof detail === 'string')) {
+        return res.status(400).json(createResponse(
+            false,
+            "Error",
+            'noticeDetails must be an array of strings'
+        ));
+    }
+
+    next();
+};
+
+const toTemplateResponse = (template) => ({
+    ...template.toObject(),
+    id: template._id.toString(),
+    placeholders: template.placeholders()
+});
+
+const findTemplate = (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+    }
+    return NoticeTemplate.findById(id);
+};
+
+const sendTemplateError = (res, error, message) => {
+    let status = 500;
+    if (error.name === 'ValidationError') status = 400;
+    if (error.code === 11000) status = 409;
+
+    res.status(status).json(createResponse(
+        false,
+        "Error",
+        status === 409 ? 'A template with this name already exists' : message,
+        null,
+        error.message
+    ));
+};
+
+// Get all templates
+router.get('/', authenticateToken, authorize('templates:manage'), async (req, res) => {
+    try {
+        const templates = await NoticeTemplate.find().sort({ name: 1 });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice templates retrieved successfully',
+            templates.map(toTemplateResponse)
+        ));
+    } catch (error) {
+        sendTemplateError(res, error, 'Error retrieving notice templates');
+    }
+});
+
+// Get single template
+router.get('/:id', authenticateToken, authorize('templates:manage'), async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice template not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice template retrieved successfully',
+            toTemplateResponse(template)
+        ));
+    } catch (error) {
+        sendTemplateError(res, error, 'Error retrieving notice template');
+    }
+});
+
+// Create template
+router.post('/', authenticateToken, authorize('templates:manage'), validateTemplateDetails, async (req, res) => {
+    try {
+        const fields = {};
+        for (const field of TEMPLATE_FIELDS) {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        }
+
+        const template = new NoticeTemplate({
+            ...fields,
+            createdBy: req.user.id
+        });
+        const savedTemplate = await template.save();
+
+        res.status(201).json(createResponse(
+            true,
+            "Success",
+            'Notice template created successfully',
+            toTemplateResponse(savedTemplate)
+        ));
+    } catch (error) {
+        sendTemplateError(res, error, 'Error creating notice template');
+    }
+});
+
+// Shared handler for PUT (replace) and PATCH (merge) updates, as for notices
+const updateTemplate = (partial) => async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice template not found'
+            ));
+        }
+
+        if (!partial) {
+            const missing = ['name', 'title', 'noticeInfo'].filter(field => !req.body[field]);
+            if (missing.length > 0) {
+                return res.status(400).json(createResponse(
+                    false,
+                    "Error",
+                    `Missing required fields: ${missing.join(', ')}`
+                ));
+            }
+        }
+
+        for (const field of TEMPLATE_FIELDS) {
+            if (req.body[field] === undefined) continue;
+
+            if (partial && field === 'noticeInfo' && template.noticeInfo) {
+                template.set(field, { ...template.noticeInfo.toObject(), ...req.body.noticeInfo });
+            } else {
+                template.set(field, req.body[field]);
+            }
+        }
+
+        const savedTemplate = await template.save();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice template updated successfully',
+            toTemplateResponse(savedTemplate)
+        ));
+    } catch (error) {
+        sendTemplateError(res, error, 'Error updating notice template');
+    }
+};
+
+router.put('/:id', authenticateToken, authorize('templates:manage'), validateTemplateDetails, updateTemplate(false));
+router.patch('/:id', authenticateToken, authorize('templates:manage'), validateTemplateDetails, updateTemplate(true));
+
+// Delete template
+router.delete('/:id', authenticateToken, authorize('templates:manage'), async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice template not found'
+            ));
+        }
+
+        await NoticeTemplate.deleteOne({ _id: template._id });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice template deleted successfully',
+            { id: template._id.toString() }
+        ));
+    } catch (error) {
+        sendTemplateError(res, error, 'Error deleting notice template');
+    }
+});
+
+module.exports = router;
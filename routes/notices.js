@@ -1,18 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const fs = require('fs').promises;
+const { authenticateToken, authenticateTokenOrService, authorize, hasPermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { applyLegacyRecord, toLegacySyncResult } = require('../deltaSync');
 const mongoose = require('mongoose');
 const path = require('path');
-const { Notice, NoticePriority, NoticeCategory, NoticeStatus } = require('../models/Notice');
+const { Notice, NoticePriority, NoticeCategory, NoticeStatus, NoticeStatusTransitions } = require('../models/Notice');
+const User = require('../models/User');
+const { UserRole } = require('../models/User');
 const { GridFSBucket } = require('mongodb');
 const multer = require('multer');
 const stream = require('stream');
-
-// Path to local notices JSON
-const LOCAL_NOTICES_PATH = path.join(__dirname, '..', 'local_notices.json');
-
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy";
+const crypto = require('crypto');
+const { buildCalendar } = require('../calendarFeed');
+const { PaginationError, parsePagination, paginateQuery, paginateArray } = require('../pagination');
+const { escapeRegExp, matchesLocalSearch } = require('../search');
+const { refreshLocalNotices, refreshLocalNoticesSafely, readLocalRecords, findLocalRecord, recordLocalDeletion } = require('../localData');
+const { isDatabaseOnline } = require('../offlineJournal');
+const NoticeScheduler = require('../noticeScheduler');
+const { ReminderDispatch } = require('../models/ReminderDispatch');
+const { NoticeRevision, diffSnapshots } = require('../models/NoticeRevision');
+const NoticeReceipt = require('../models/NoticeReceipt');
+const NoticeTemplate = require('../models/NoticeTemplate');
 
 // Setup GridFS
 let bucket;
@@ -27,29 +36,44 @@ const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ').pop();            
-    console.log("Token: \n",token);
-    if (!token) {
-        return res.status(401).json(createResponse(
+// Calendar apps cannot send a bearer header, so the .ics feed also accepts a per-user subscription token
+const authenticateCalendar = async (req, res, next) => {
+    if (!req.query.token) {
+        return authenticateToken(req, res, next);
+    }
+
+    if (!isDatabaseOnline()) {
+        return res.status(503).json(createResponse(
             false,
             "Error",
-            'Access token is required'
+            'Calendar subscription tokens cannot be checked while the database is offline'
         ));
     }
 
-    try {                                                                                       const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        req.userId = decoded.id;
-	    next();
-    } catch (error) {                                                                           console.error('Token Verification Error:', error);
-	    return res.status(403).json(createResponse(
+    try {
+        const user = await User.findOne({ calendarToken: String(req.query.token) });
+        if (!user) {
+            return res.status(403).json(createResponse(
+                false,
+                "Error",
+                'Invalid calendar subscription token'
+            ));
+        }
+
+        req.user = {
+            id: user._id.toString(),
+            admissionNo: user.admissionNo,
+            role: user.role,
+            audiences: user.noticeAudiences()
+        };
+        next();
+    } catch (error) {
+        res.status(500).json(createResponse(
             false,
             "Error",
-            'Invalid or expired token',
+            'Error verifying calendar subscription token',
             null,
-            process.env.NODE_ENV === 'development' ? error.message : undefined
+            error.message
         ));
     }
 };
@@ -97,8 +121,16 @@ const validateNoticeDetails = (req, res, next) => {
     next();
 };
 
+// Validation middleware for partial updates, noticeDetails is only checked when it is being changed
+const validatePartialNoticeDetails = (req, res, next) => {
+    if (!req.body.noticeInfo || req.body.noticeInfo.noticeDetails === undefined) {
+        return next();
+    }
+    return validateNoticeDetails(req, res, next);
+};
+
 // Add new route to handle file uploads
-router.post('/upload-attachment', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/upload-attachment', authenticateToken, authorize('notices:write'), upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json(createResponse(
@@ -197,39 +229,495 @@ const createResponse = (success, type, message, data = null, error = null) => {
     };
 };
 
+// Fields that can be changed through PUT/PATCH; status only moves through the transition routes
+const EDITABLE_NOTICE_FIELDS = [
+    'title', 'noticeInfo', 'eventSchedule', 'audience', 'priority', 'attachments', 'publishAt', 'requiresAcknowledgement'
+];
+const NESTED_NOTICE_FIELDS = ['noticeInfo', 'eventSchedule', 'audience'];
+
+// Drafts are only listed for users who can edit notices
+const visibleNoticesFilter = (req) => (
+    hasPermission(req.user.role, 'notices:write') ? {} : { status: { $ne: NoticeStatus.DRAFT } }
+);
+
+// The same rule for a single notice, from the database or the local copy
+const canSeeNotice = (req, notice) => (
+    hasPermission(req.user.role, 'notices:write') || notice.status !== NoticeStatus.DRAFT
+);
+
+// Sort options for list endpoints
+const NOTICE_PAGINATION = {
+    sortFields: {
+        dateCreated: 'eventSchedule.dateCreated',
+        dateFromStart: 'eventSchedule.dateFromStart',
+        dateToEnd: 'eventSchedule.dateToEnd',
+        title: 'title'
+    },
+    defaultSort: 'dateCreated'
+};
+
+// Find a notice by its MongoDB _id or by its string id field
+const findNotice = async (id) => {
+    const queries = [
+        // Only try ObjectId if it's valid
+        ...(mongoose.Types.ObjectId.isValid(id) ?
+            [{ _id: new mongoose.Types.ObjectId(id) }] :
+            []
+        ),
+        { id: id },  // Try matching against the string id field
+    ];
+
+    for (const query of queries) {
+        const notice = await Notice.findOne(query);
+        if (notice) return notice;
+    }
+    return null;
+};
+
+// Record that a user viewed (and optionally acknowledged) a notice, along with the revision they saw
+const recordReceipt = async (notice, userId, acknowledge = false) => {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const latest = await NoticeRevision.findOne({ notice: notice._id }).sort({ revision: -1 }).select('revision');
+    const revision = latest ? latest.revision : null;
+    const now = new Date();
+
+    const receipt = await NoticeReceipt.findOneAndUpdate(
+        { notice: notice._id, user: user._id },
+        { $setOnInsert: { admissionNo: user.admissionNo, viewedAt: now, viewedRevision: revision } },
+        { upsert: true, new: true }
+    );
+
+    if (acknowledge && !receipt.acknowledgedAt) {
+        receipt.acknowledgedAt = now;
+        receipt.acknowledgedRevision = revision;
+        await receipt.save();
+    }
+
+    return receipt;
+};
+
+const toNoticeResponse = (notice) => {
+    const noticeObject = notice.toObject();
+    noticeObject.id = noticeObject._id.toString();
+    return noticeObject;
+};
+
+// Notice.audienceFilterForAny applied to a notice from the local copy
+const isLocalNoticeAimedAtAny = (notice, audiences) => {
+    const hydrated = Notice.hydrate(notice);
+    return audiences.length === 0
+        ? hydrated.isAimedAt()
+        : audiences.some(audience => hydrated.isAimedAt(audience));
+};
+
+// Whose notices the user receives. The access token carries the same list, for reads made while
+// the database is offline; tokens issued before it did only give the admission number.
+const tokenAudiences = (req) => req.user.audiences || [{ admissionNo: req.user.admissionNo }];
+
+// While the database is offline, notices are read from and edited against the local copy
+const findLocalNotice = async (id) => {
+    const local = findLocalRecord(await readLocalRecords('notices'), id);
+    return local ? Notice.hydrate({ ...local, _id: local._id || local.id }) : null;
+};
+
+// Validate a notice and queue it in the offline journal instead of saving it. The version is
+// bumped the way a save would, so a later offline edit of the same notice replays cleanly.
+const queueNoticeWrite = async (req, res, notice, message) => {
+    await notice.validate();
+
+    const record = toNoticeResponse(notice);
+    const baseVersion = notice.isNew ? undefined : notice.version;
+    if (baseVersion) {
+        record.version = baseVersion + 1;
+    }
+
+    const entry = await req.app.get('offlineJournal').enqueue('notices', {
+        op: 'upsert',
+        id: record.id,
+        uuid: record.uuid,
+        baseVersion,
+        record
+    }, req);
+
+    return res.status(202).json(createResponse(
+        true,
+        "Success",
+        message,
+        req.app.get('offlineJournal').toResponseData(entry)
+    ));
+};
+
 // Get all notices
 router.get('/', authenticateToken, async (req, res) => {
     try {
-        const notices = await Notice.find().sort({ 'eventSchedule.dateCreated': -1 });
-        
-        if (notices && notices.length > 0) {
-            // Transform to use _id as id
-            const transformedNotices = notices.map(notice => {
-                const noticeObj = notice.toObject();
-                return {
-                    ...noticeObj,
-                    id: noticeObj._id.toString()
-                };
+        const pagination = parsePagination(req.query, NOTICE_PAGINATION);
+
+        if (!isDatabaseOnline()) {
+            const localNotices = (await readLocalRecords('notices'))
+                .filter(notice => canSeeNotice(req, notice));
+            const localPage = paginateArray(localNotices, pagination);
+
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    'Notices retrieved from local storage',
+                    localPage.items
+                ),
+                pagination: localPage.pagination
             });
+        }
 
-            return res.status(200).json(createResponse(
+        const page = await paginateQuery(Notice, visibleNoticesFilter(req), pagination);
+
+        return res.status(200).json({
+            ...createResponse(
                 true,
                 "Success",
                 'Notices retrieved successfully',
-                transformedNotices
+                page.items.map(toNoticeResponse)
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        res.status(error.status || 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof PaginationError ? error.message : 'Error retrieving notices',
+            null,
+            error.message
+        ));
+    }
+});
+
+router.get('/filter', authenticateToken, async (req, res) => {
+    try {
+        const { 
+            startDate, 
+            endDate, 
+            noticeType, 
+            organisationName,
+            searchQuery 
+        } = req.query;
+
+        const pagination = parsePagination(req.query, NOTICE_PAGINATION);
+        let filter = visibleNoticesFilter(req);
+
+        if (startDate && endDate) {
+            filter['eventSchedule.dateFromStart'] = { $gte: startDate };
+            filter['eventSchedule.dateToEnd'] = { $lte: endDate };
+        }
+
+        if (noticeType) {
+            filter['noticeInfo.noticeType'] = noticeType;
+        }
+
+        if (organisationName) {
+            filter['noticeInfo.organisationName'] = { 
+                $regex: new RegExp(escapeRegExp(organisationName), 'i') 
+            };
+        }
+
+        // Search title and notice details through the text index
+        if (searchQuery) {
+            filter.$text = { $search: searchQuery };
+        }
+
+        if (!isDatabaseOnline()) {
+            const organisationPattern = organisationName ? new RegExp(escapeRegExp(organisationName), 'i') : null;
+            const localNotices = (await readLocalRecords('notices')).filter(notice => {
+                const noticeInfo = notice.noticeInfo || {};
+                const eventSchedule = notice.eventSchedule || {};
+                return canSeeNotice(req, notice) &&
+                    (!(startDate && endDate) || (eventSchedule.dateFromStart >= startDate && eventSchedule.dateToEnd <= endDate)) &&
+                    (!noticeType || noticeInfo.noticeType === noticeType) &&
+                    (!organisationPattern || organisationPattern.test(noticeInfo.organisationName || '')) &&
+                    (!searchQuery || matchesLocalSearch('notices', notice, searchQuery));
+            });
+            const localPage = paginateArray(localNotices, pagination);
+
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    'Filtered notices retrieved from local storage',
+                    localPage.items
+                ),
+                pagination: localPage.pagination
+            });
+        }
+
+        const page = await paginateQuery(Notice, filter, pagination);
+
+        return res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Filtered notices retrieved successfully',
+                page.items.map(toNoticeResponse)
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        res.status(error.status || 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof PaginationError ? error.message : 'Error filtering notices',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Get active notices aimed at the authenticated user's grade, section or admission number.
+// Guardians get notices for all of their children, or for one child with ?student=<admissionNo>.
+router.get('/feed', authenticateToken, async (req, res) => {
+    try {
+        // Offline, the audiences come from the access token instead of the user record
+        const online = isDatabaseOnline();
+        const user = online ? await User.findById(req.user.id) : null;
+
+        if (online && !user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        const isGuardian = (user || req.user).role === UserRole.PARENT;
+        const selectedStudent = isGuardian && req.query.student ? String(req.query.student) : null;
+        let audiences = user ? user.noticeAudiences() : tokenAudiences(req);
+
+        if (selectedStudent) {
+            audiences = audiences.filter(audience => audience.admissionNo === selectedStudent);
+            if (audiences.length === 0) {
+                return res.status(404).json(createResponse(
+                    false,
+                    "Error",
+                    'Student is not linked to this account'
+                ));
+            }
+        }
+
+        const pagination = parsePagination(req.query, NOTICE_PAGINATION);
+        let page;
+        let receipts = [];
+
+        if (online) {
+            page = await paginateQuery(Notice, {
+                status: NoticeStatus.ACTIVE,
+                ...Notice.audienceFilterForAny(audiences)
+            }, pagination);
+
+            // Include the user's own view/acknowledgement state for each notice
+            receipts = await NoticeReceipt.find({
+                user: user._id,
+                notice: { $in: page.items.map(notice => notice._id) }
+            });
+        } else {
+            const localNotices = (await readLocalRecords('notices')).filter(notice =>
+                notice.status === NoticeStatus.ACTIVE && isLocalNoticeAimedAtAny(notice, audiences));
+            page = paginateArray(localNotices, pagination);
+        }
+
+        const receiptsByNotice = new Map(receipts.map(receipt => [receipt.notice.toString(), receipt]));
+
+        const notices = page.items.map(notice => {
+            const receipt = online ? receiptsByNotice.get(notice._id.toString()) : null;
+            const hydrated = online ? notice : Notice.hydrate(notice);
+            return {
+                ...(online ? toNoticeResponse(notice) : notice),
+                // Which of the guardian's children the notice is meant for
+                ...(isGuardian && {
+                    students: audiences.filter(audience => hydrated.isAimedAt(audience)).map(audience => audience.admissionNo)
+                }),
+                viewedAt: receipt ? receipt.viewedAt : null,
+                acknowledgedAt: receipt ? receipt.acknowledgedAt : null
+            };
+        });
+
+        return res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                online ? 'Notice feed retrieved successfully' : 'Notice feed retrieved from local storage',
+                isGuardian
+                    ? {
+                        children: (user ? user.linkedStudents || [] : tokenAudiences(req)).map(child => ({
+                            admissionNo: child.admissionNo,
+                            name: child.name,
+                            grade: child.grade,
+                            section: child.section,
+                            selected: child.admissionNo === selectedStudent
+                        })),
+                        selectedStudent,
+                        notices
+                    }
+                    : { audience: audiences[0], notices }
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        res.status(error.status || 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof PaginationError ? error.message : 'Error retrieving notice feed',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Get upcoming scheduled publishing and archiving
+router.get('/schedule', authenticateToken, authorize('notices:schedule'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const scheduler = req.app.get('noticeScheduler');
+        const schedule = await NoticeScheduler.getUpcomingSchedule(limit);
+
+        return res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice schedule retrieved successfully',
+            {
+                scheduler: scheduler ? scheduler.getStatus() : null,
+                ...schedule
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving notice schedule',
+            null,
+            error.message
+        ));
+    }
+});
+
+// iCalendar feed of notice events, filtered by noticeType and audience (grade, section or audience=mine)
+router.get('/calendar.ics', authenticateCalendar, async (req, res) => {
+    try {
+        const { noticeType, grade, section, audience } = req.query;
+        const online = isDatabaseOnline();
+        const statuses = [NoticeStatus.ACTIVE, NoticeStatus.ARCHIVED, NoticeStatus.CANCELLED];
+        const noticeTypes = noticeType ? String(noticeType).split(',') : null;
+
+        let audiences = null;
+        if (audience === 'mine') {
+            const user = online ? await User.findById(req.user.id) : null;
+            if (online && !user) {
+                return res.status(404).json(createResponse(
+                    false,
+                    "Error",
+                    'User not found'
+                ));
+            }
+            audiences = user ? user.noticeAudiences() : tokenAudiences(req);
+        } else if (grade || section) {
+            audiences = [{ grade, section }];
+        }
+
+        let notices;
+        if (online) {
+            notices = await Notice.find({
+                status: { $in: statuses },
+                ...(noticeTypes && { 'noticeInfo.noticeType': { $in: noticeTypes } }),
+                ...(audiences && Notice.audienceFilterForAny(audiences))
+            }).sort({ 'eventSchedule.dateFromStart': 1 });
+        } else {
+            notices = (await readLocalRecords('notices'))
+                .filter(notice => statuses.includes(notice.status) &&
+                    (!noticeTypes || noticeTypes.includes((notice.noticeInfo || {}).noticeType)) &&
+                    (!audiences || isLocalNoticeAimedAtAny(notice, audiences)))
+                .sort((a, b) => String((a.eventSchedule || {}).dateFromStart).localeCompare(String((b.eventSchedule || {}).dateFromStart)));
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="notices.ics"');
+        res.status(200).send(buildCalendar(notices));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error generating notice calendar',
+            null,
+            error.message
+        ));
+    }
+});
+
+const buildSubscriptionUrls = (req, token) => {
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}&audience=mine`;
+    return {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:')
+    };
+};
+
+// Get (and create on first use) the user's calendar subscription URL
+router.get('/calendar/subscription', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
             ));
         }
 
-        return res.status(404).json(createResponse(
+        if (!user.calendarToken) {
+            user.calendarToken = crypto.randomBytes(24).toString('hex');
+            await user.save();
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Calendar subscription retrieved successfully',
+            buildSubscriptionUrls(req, user.calendarToken)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
             false,
             "Error",
-            'No notices found'
+            'Error retrieving calendar subscription',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Replace the user's calendar token, invalidating the previous subscription URL
+router.post('/calendar/subscription/reset', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        user.calendarToken = crypto.randomBytes(24).toString('hex');
+        await user.save();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Calendar subscription reset successfully',
+            buildSubscriptionUrls(req, user.calendarToken)
         ));
     } catch (error) {
         res.status(500).json(createResponse(
             false,
             "Error",
-            'Error retrieving notices',
+            'Error resetting calendar subscription',
             null,
             error.message
         ));
@@ -240,32 +728,14 @@ router.get('/', authenticateToken, async (req, res) => {
 router.get('/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        let notice = null;
-
-        // Create a query array to try different ways of finding the notice
-        const queries = [
-            // Only try ObjectId if it's valid
-            ...(mongoose.Types.ObjectId.isValid(id) ? 
-                [{ _id: new mongoose.Types.ObjectId(id) }] : 
-                []
-            ),
-            { id: id },  // Try matching against the string id field
-        ];
-
-        // Try each query strategy until we find a match
-        for (const query of queries) {
-            notice = await Notice.findOne(query);
-            if (notice) break;
-        }
+        let notice = isDatabaseOnline() ? await findNotice(id) : null;
 
         // If still not found in database, check local storage
         if (!notice) {
             try {
-                const localNoticesData = await fs.readFile(LOCAL_NOTICES_PATH, 'utf8');
-                const localNotices = JSON.parse(localNoticesData).notices;
-                notice = localNotices.find(n => n.id === id || n._id === id);
+                notice = findLocalRecord(await readLocalRecords('notices'), id);
 
-                if (notice) {
+                if (notice && canSeeNotice(req, notice)) {
                     return res.status(200).json(createResponse(
                         true,
                         "Success",
@@ -281,7 +751,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
             }
         }
 
-        if (!notice) {
+        // Drafts are hidden from anyone who can't edit notices, as in the list routes
+        if (!notice || !canSeeNotice(req, notice)) {
             return res.status(404).json(createResponse(
                 false,
                 "Error",
@@ -291,15 +762,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
             ));
         }
 
-        // Convert to plain object and ensure consistent ID field
-        const noticeObject = notice.toObject();
-        noticeObject.id = noticeObject._id.toString();
+        recordReceipt(notice, req.user.id).catch(error => {
+            console.error('Notice Receipt Error:', error);
+        });
 
         return res.status(200).json(createResponse(
             true,
             "Success",
             'Notice retrieved successfully',
-            noticeObject
+            toNoticeResponse(notice)
         ));
 
     } catch (error) {
@@ -314,7 +785,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-router.post('/sync-local', authenticateToken, validateNoticeDetails, async (req, res) => {
+// Legacy full upload, kept for older clients. AuthSyncService uses the delta sync API (/api/sync).
+router.post('/sync-local', authenticateTokenOrService, authorize('sync'), validateNoticeDetails, async (req, res) => {
     try {
         const { notices } = req.body;
 
@@ -338,21 +810,22 @@ router.post('/sync-local', authenticateToken, validateNoticeDetails, async (req,
                     notice.noticeInfo.noticeDetails = [notice.noticeInfo.noticeDetails];
                 }
 
-                const existingNotice = await Notice.findOne({
-                    $and: [
-                        { title: notice.title },
-                        { 'noticeInfo.organisationName': notice.noticeInfo.organisationName },
-                        { 'eventSchedule.dateFromStart': notice.eventSchedule.dateFromStart },
-                        { 'eventSchedule.dateToEnd': notice.eventSchedule.dateToEnd }
-                    ]
-                });
+                // Match on the client's uuid; older clients without one fall back to content
+                const existingNotice = await Notice.findOne(notice.uuid
+                    ? { uuid: String(notice.uuid).toLowerCase() }
+                    : {
+                        $and: [
+                            { title: notice.title },
+                            { 'noticeInfo.organisationName': notice.noticeInfo.organisationName },
+                            { 'eventSchedule.dateFromStart': notice.eventSchedule.dateFromStart },
+                            { 'eventSchedule.dateToEnd': notice.eventSchedule.dateToEnd }
+                        ]
+                    });
 
                 if (existingNotice) {
-                    results.success.push({
-                        id: existingNotice._id.toString(),
-                        status: 'skipped',
-                        message: 'Notice already exists'
-                    });
+                    // Uploads that differ from the server copy are settled by the notices conflict policy
+                    const outcome = await applyLegacyRecord('notices', existingNotice, notice, req);
+                    results.success.push(toLegacySyncResult(outcome, 'Notice'));
                     continue;
                 }
 
@@ -365,6 +838,8 @@ router.post('/sync-local', authenticateToken, validateNoticeDetails, async (req,
                 };
 
                 const newNotice = new Notice(completeNotice);
+                newNotice.$locals.editedBy = req.user.id;
+                newNotice.$locals.source = 'sync';
                 const saved = await newNotice.save();
                 
                 results.success.push({
@@ -391,6 +866,8 @@ router.post('/sync-local', authenticateToken, validateNoticeDetails, async (req,
                     total: notices.length,
                     created: results.success.filter(r => r.status === 'created').length,
                     skipped: results.success.filter(r => r.status === 'skipped').length,
+                    updated: results.success.filter(r => r.status === 'updated').length,
+                    conflict: results.success.filter(r => r.status === 'conflict').length,
                     failed: results.failed.length
                 }
             }
@@ -406,7 +883,32 @@ router.post('/sync-local', authenticateToken, validateNoticeDetails, async (req,
     }
 });
 
-router.post('/', authenticateToken, validateNoticeDetails, async (req, res) => {
+// Update local notices storage
+router.post('/update-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
+    try {
+        const notices = await refreshLocalNotices();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Local notices updated successfully',
+            notices
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error updating local notices',
+            null,
+            error.message
+        ));
+    }
+});
+
+const CREATABLE_NOTICE_STATUSES = [NoticeStatus.DRAFT, NoticeStatus.ACTIVE];
+
+// Create a notice from req.body (shared by POST / and POST /from-template/:templateId)
+const createNotice = async (req, res) => {
     try {
         const { 
             title, 
@@ -414,19 +916,61 @@ router.post('/', authenticateToken, validateNoticeDetails, async (req, res) => {
             eventSchedule, 
             audience = { isSchoolWide: false },
             priority = NoticePriority.NORMAL,
-            status = NoticeStatus.ACTIVE,
-            attachments = []
+            publishAt = null,
+            attachments = [],
+            uuid
         } = req.body;
 
-        // Validate that attachment IDs exist in GridFS
-        for (const attachment of attachments) {
-            try {
-                await bucket.find({ _id: new mongoose.Types.ObjectId(attachment.id) }).next();
-            } catch (error) {
-                return res.status(400).json(createResponse(
+        const online = isDatabaseOnline();
+
+        // Clients may pick the uuid so an offline-created notice keeps its identity once uploaded
+        if (uuid && online) {
+            const existing = await Notice.findOne({ uuid: String(uuid).toLowerCase() });
+            if (existing) {
+                return res.status(409).json(createResponse(
                     false,
                     "Error",
-                    `Attachment ${attachment.id} not found`
+                    'A notice with this uuid already exists',
+                    existing
+                ));
+            }
+        }
+
+        // Urgent and exam notices need acknowledgement unless told otherwise
+        const requiresAcknowledgement = req.body.requiresAcknowledgement !== undefined
+            ? Boolean(req.body.requiresAcknowledgement)
+            : priority === NoticePriority.URGENT || noticeInfo.noticeType === NoticeCategory.EXAM;
+
+        // New notices start as DRAFT or ACTIVE; later states go through the status transition routes
+        if (req.body.status && !CREATABLE_NOTICE_STATUSES.includes(req.body.status)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `New notices must be ${CREATABLE_NOTICE_STATUSES.join(' or ')}`
+            ));
+        }
+
+        // Notices scheduled for the future stay as drafts until the scheduler publishes them
+        const isScheduled = publishAt && new Date(publishAt) > new Date();
+        const status = isScheduled ? NoticeStatus.DRAFT : (req.body.status || NoticeStatus.ACTIVE);
+
+        if (!online && attachments.length > 0) {
+            return res.status(503).json(createResponse(
+                false,
+                "Error",
+                'Notices with attachments cannot be created while the database is offline'
+            ));
+        }
+
+        // Validate that attachment IDs exist in GridFS
+        for (const attachment of attachments) {
+            try {
+                await bucket.find({ _id: new mongoose.Types.ObjectId(attachment.id) }).next();
+            } catch (error) {
+                return res.status(400).json(createResponse(
+                    false,
+                    "Error",
+                    `Attachment ${attachment.id} not found`
                 ));
             }
         }
@@ -438,9 +982,18 @@ router.post('/', authenticateToken, validateNoticeDetails, async (req, res) => {
             audience,
             priority,
             status,
-            attachments
+            publishAt,
+            requiresAcknowledgement,
+            attachments,
+            ...(uuid && { uuid })
         });
 
+        newNotice.$locals.editedBy = req.user.id;
+
+        if (!online) {
+            return await queueNoticeWrite(req, res, newNotice, 'Database offline, notice queued for saving');
+        }
+
         const savedNotice = await newNotice.save();
         res.status(201).json(createResponse(
             true,
@@ -449,7 +1002,14 @@ router.post('/', authenticateToken, validateNoticeDetails, async (req, res) => {
             savedNotice
         ));
     } catch (error) {
-        res.status(500).json(createResponse(
+        if (error.code === 11000) {
+            return res.status(409).json(createResponse(
+                false,
+                "Error",
+                'A notice with this uuid already exists'
+            ));
+        }
+        res.status(error.name === 'ValidationError' ? 400 : 500).json(createResponse(
             false,
             "Error",
             'Error creating notice',
@@ -457,76 +1017,617 @@ router.post('/', authenticateToken, validateNoticeDetails, async (req, res) => {
             error.message
         ));
     }
-});
+};
 
-router.get('/filter', authenticateToken, async (req, res) => {
+// Fill a template's placeholders and put the result in req.body for validation and creation.
+// Body: { variables: {...}, eventSchedule, audience?, priority?, attachments?, publishAt?, draft? }
+const buildNoticeFromTemplate = async (req, res, next) => {
     try {
-        const { 
-            startDate, 
-            endDate, 
-            noticeType, 
-            organisationName,
-            searchQuery 
-        } = req.query;
+        const { templateId } = req.params;
+        const template = mongoose.Types.ObjectId.isValid(templateId)
+            ? await NoticeTemplate.findById(templateId)
+            : null;
+
+        if (!template) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice template not found'
+            ));
+        }
 
-        let filter = {};
+        const { variables = {}, eventSchedule, audience, priority, attachments, publishAt, draft, status } = req.body;
+        const { notice, missing } = template.render(variables);
 
-        if (startDate && endDate) {
-            filter['eventSchedule.dateFromStart'] = { $gte: startDate };
-            filter['eventSchedule.dateToEnd'] = { $lte: endDate };
+        if (missing.length > 0) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `Missing template variables: ${missing.join(', ')}`,
+                { missing }
+            ));
         }
 
-        if (noticeType) {
-            filter['noticeInfo.noticeType'] = noticeType;
+        if (!eventSchedule) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'eventSchedule is required'
+            ));
         }
 
-        if (organisationName) {
-            filter['noticeInfo.organisationName'] = { 
-                $regex: new RegExp(organisationName, 'i') 
-            };
+        if (status && !CREATABLE_NOTICE_STATUSES.includes(status)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `New notices must be ${CREATABLE_NOTICE_STATUSES.join(' or ')}`
+            ));
         }
 
-        // Updated search query to search within the array of notice details
-        if (searchQuery) {
-            filter.$or = [
-                { title: { $regex: new RegExp(searchQuery, 'i') } },
-                { 'noticeInfo.noticeDetails': { 
-                    $elemMatch: { 
-                        $regex: new RegExp(searchQuery, 'i') 
-                    } 
-                }}
-            ];
+        req.body = {
+            ...notice,
+            eventSchedule,
+            ...(audience && { audience }),
+            ...(priority && { priority }),
+            ...(attachments && { attachments }),
+            ...(publishAt && { publishAt }),
+            ...(req.body.requiresAcknowledgement !== undefined && {
+                requiresAcknowledgement: req.body.requiresAcknowledgement
+            }),
+            ...((draft || status) && { status: draft ? NoticeStatus.DRAFT : status })
+        };
+
+        next();
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error creating notice from template',
+            null,
+            error.message
+        ));
+    }
+};
+
+router.post('/', authenticateToken, authorize('notices:write'), idempotent, validateNoticeDetails, createNotice);
+router.post('/from-template/:templateId', authenticateToken, authorize('notices:write'), idempotent, buildNoticeFromTemplate, validateNoticeDetails, createNotice);
+
+// Shared handler for PUT (replace) and PATCH (merge) updates
+const updateNotice = (partial) => async (req, res) => {
+    try {
+        const online = isDatabaseOnline();
+        const notice = online ? await findNotice(req.params.id) : await findLocalNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
         }
 
-        const notices = await Notice.find(filter)
-            .sort({ 'eventSchedule.dateCreated': -1 });
+        if (req.body.status && req.body.status !== notice.status) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Notice status cannot be edited directly, use the publish, archive or cancel routes'
+            ));
+        }
+
+        if (!partial) {
+            const missing = ['title', 'noticeInfo', 'eventSchedule'].filter(field => !req.body[field]);
+            if (missing.length > 0) {
+                return res.status(400).json(createResponse(
+                    false,
+                    "Error",
+                    `Missing required fields: ${missing.join(', ')}`
+                ));
+            }
+        }
+
+        for (const field of EDITABLE_NOTICE_FIELDS) {
+            if (req.body[field] === undefined) continue;
+
+            if (partial && NESTED_NOTICE_FIELDS.includes(field) && notice[field]) {
+                notice.set(field, { ...notice[field].toObject(), ...req.body[field] });
+            } else {
+                notice.set(field, req.body[field]);
+            }
+        }
+
+        notice.$locals.editedBy = req.user.id;
+
+        if (!online && notice.isModified()) {
+            return await queueNoticeWrite(req, res, notice, 'Database offline, notice update queued for saving');
+        }
+        if (!online) {
+            return res.status(200).json(createResponse(true, "Success", 'Notice unchanged', toNoticeResponse(notice)));
+        }
+
+        const savedNotice = await notice.save();
+        await refreshLocalNoticesSafely();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice updated successfully',
+            toNoticeResponse(savedNotice)
+        ));
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json(createResponse(
+            false,
+            "Error",
+            'Error updating notice',
+            null,
+            error.message
+        ));
+    }
+};
+
+router.put('/:id', authenticateToken, authorize('notices:write'), validateNoticeDetails, updateNotice(false));
+router.patch('/:id', authenticateToken, authorize('notices:write'), validatePartialNoticeDetails, updateNotice(true));
+
+router.delete('/:id', authenticateToken, authorize('notices:write'), async (req, res) => {
+    try {
+        const online = isDatabaseOnline();
+        const notice = online ? await findNotice(req.params.id) : await findLocalNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        if (!online) {
+            // Attachments live in GridFS, so they could only be left behind
+            if (notice.attachments.length > 0) {
+                return res.status(503).json(createResponse(
+                    false,
+                    "Error",
+                    'Notices with attachments cannot be deleted while the database is offline'
+                ));
+            }
+
+            const entry = await req.app.get('offlineJournal').enqueue('notices', {
+                op: 'delete',
+                id: notice._id.toString(),
+                uuid: notice.uuid,
+                baseVersion: notice.version
+            }, req);
 
-        if (notices && notices.length > 0) {
-            return res.status(200).json(createResponse(
+            return res.status(202).json(createResponse(
                 true,
                 "Success",
-                'Filtered notices retrieved successfully',
-                notices
+                'Database offline, notice deletion queued',
+                req.app.get('offlineJournal').toResponseData(entry)
             ));
         }
 
-        return res.status(404).json(createResponse(
+        // Remove uploaded attachments from GridFS
+        for (const attachment of notice.attachments) {
+            try {
+                if (bucket && mongoose.Types.ObjectId.isValid(attachment.id)) {
+                    await bucket.delete(new mongoose.Types.ObjectId(attachment.id));
+                }
+            } catch (err) {
+                console.error(`Error deleting attachment ${attachment.id}:`, err);
+            }
+        }
+
+        notice.$locals.editedBy = req.user.id;
+        await notice.deleteOne();
+        await recordLocalDeletion('notices', notice).catch(error => console.error('Local Deletion Error:', error));
+        await refreshLocalNoticesSafely();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice deleted successfully',
+            { id: notice._id.toString() }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
             false,
             "Error",
-            'No notices found matching the filter criteria'
+            'Error deleting notice',
+            null,
+            error.message
         ));
+    }
+});
+
+// Status transition routes: DRAFT -> ACTIVE -> ARCHIVED/CANCELLED
+const transitionNotice = (targetStatus) => async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        if (!notice.canTransitionTo(targetStatus)) {
+            const allowed = NoticeStatusTransitions[notice.status] || [];
+            return res.status(409).json(createResponse(
+                false,
+                "Error",
+                `Cannot change notice status from ${notice.status} to ${targetStatus}`,
+                {
+                    currentStatus: notice.status,
+                    requestedStatus: targetStatus,
+                    allowedStatuses: allowed
+                }
+            ));
+        }
+
+        notice.status = targetStatus;
+        notice.$locals.editedBy = req.user.id;
+        const savedNotice = await notice.save();
+        await refreshLocalNoticesSafely();
 
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            `Notice status changed to ${targetStatus}`,
+            toNoticeResponse(savedNotice)
+        ));
     } catch (error) {
         res.status(500).json(createResponse(
             false,
             "Error",
-            'Error filtering notices',
+            'Error changing notice status',
+            null,
+            error.message
+        ));
+    }
+};
+
+router.post('/:id/publish', authenticateToken, authorize('notices:write'), transitionNotice(NoticeStatus.ACTIVE));
+router.post('/:id/archive', authenticateToken, authorize('notices:write'), transitionNotice(NoticeStatus.ARCHIVED));
+router.post('/:id/cancel', authenticateToken, authorize('notices:write'), transitionNotice(NoticeStatus.CANCELLED));
+
+router.post('/:id/acknowledge', authenticateToken, async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        // Only the students a notice is aimed at (or their guardians) acknowledge it
+        if (!user.noticeAudiences().some(audience => notice.isAimedAt(audience))) {
+            return res.status(403).json(createResponse(
+                false,
+                "Error",
+                'Notice is not addressed to this user'
+            ));
+        }
+
+        if (!notice.requiresAcknowledgement) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Notice does not require acknowledgement'
+            ));
+        }
+
+        const receipt = await recordReceipt(notice, user._id, true);
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice acknowledged successfully',
+            receipt
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error acknowledging notice',
+            null,
+            error.message
+        ));
+    }
+});
+
+// View and acknowledgement stats for the notice's audience, by grade and section
+router.get('/:id/acknowledgements', authenticateToken, authorize('notices:stats'), async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const [students, receipts] = await Promise.all([
+            // Guardians and staff can match the audience filter too; only students are counted
+            User.find({ ...notice.audienceUserFilter(), role: UserRole.STUDENT }).select('name admissionNo grade section'),
+            NoticeReceipt.find({ notice: notice._id })
+        ]);
+
+        const receiptsByUser = new Map(receipts.map(receipt => [receipt.user.toString(), receipt]));
+        const groups = new Map();
+        const pending = [];
+
+        for (const student of students) {
+            const receipt = receiptsByUser.get(student._id.toString());
+            const key = `${student.grade || ''}|${student.section || ''}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    grade: student.grade,
+                    section: student.section,
+                    targeted: 0,
+                    viewed: 0,
+                    acknowledged: 0
+                });
+            }
+
+            const group = groups.get(key);
+            group.targeted++;
+            if (receipt && receipt.viewedAt) group.viewed++;
+            if (receipt && receipt.acknowledgedAt) {
+                group.acknowledged++;
+            } else {
+                pending.push({
+                    id: student._id.toString(),
+                    name: student.name,
+                    admissionNo: student.admissionNo,
+                    grade: student.grade,
+                    section: student.section,
+                    viewedAt: receipt ? receipt.viewedAt : null
+                });
+            }
+        }
+
+        const breakdown = [...groups.values()].sort((a, b) =>
+            String(a.grade).localeCompare(String(b.grade), undefined, { numeric: true }) ||
+            String(a.section).localeCompare(String(b.section))
+        );
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice acknowledgement stats retrieved successfully',
+            {
+                requiresAcknowledgement: notice.requiresAcknowledgement,
+                summary: {
+                    targeted: students.length,
+                    viewed: breakdown.reduce((sum, group) => sum + group.viewed, 0),
+                    acknowledged: breakdown.reduce((sum, group) => sum + group.acknowledged, 0)
+                },
+                breakdown,
+                pending
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving notice acknowledgements',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Get the revision history of a notice with field-level diffs, newest first
+router.get('/:id/revisions', authenticateToken, authorize('notices:stats'), async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const revisions = await NoticeRevision.find({ notice: notice._id })
+            .sort({ revision: 1 })
+            .populate('editedBy', 'name admissionNo');
+
+        const history = revisions.map((revision, index) => ({
+            revision: revision.revision,
+            action: revision.action,
+            editedBy: revision.editedBy,
+            source: revision.source,
+            editedAt: revision.editedAt,
+            changedFields: revision.changedFields,
+            restoredFrom: revision.restoredFrom,
+            changes: diffSnapshots(index > 0 ? revisions[index - 1].snapshot : {}, revision.snapshot)
+        })).reverse();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice revisions retrieved successfully',
+            history
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving notice revisions',
             null,
             error.message
         ));
     }
 });
 
+// Get a single revision with the full notice content at that point
+router.get('/:id/revisions/:revision', authenticateToken, authorize('notices:stats'), async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const revision = await NoticeRevision.findOne({
+            notice: notice._id,
+            revision: parseInt(req.params.revision, 10)
+        }).populate('editedBy', 'name admissionNo');
+
+        if (!revision) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Revision not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice revision retrieved successfully',
+            revision
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving notice revision',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Roll the notice content back to an earlier revision. Status is left alone and still
+// has to go through the transition routes.
+router.post('/:id/revisions/:revision/restore', authenticateToken, authorize('notices:write'), async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const revision = await NoticeRevision.findOne({
+            notice: notice._id,
+            revision: parseInt(req.params.revision, 10)
+        });
+
+        if (!revision) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Revision not found'
+            ));
+        }
+
+        for (const field of EDITABLE_NOTICE_FIELDS) {
+            notice.set(field, revision.snapshot[field] === undefined ? null : revision.snapshot[field]);
+        }
+
+        notice.$locals.editedBy = req.user.id;
+        notice.$locals.restoredFrom = revision.revision;
+        const savedNotice = await notice.save();
+        await refreshLocalNoticesSafely();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            `Notice restored to revision ${revision.revision}`,
+            toNoticeResponse(savedNotice)
+        ));
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json(createResponse(
+            false,
+            "Error",
+            'Error restoring notice revision',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Get reminder delivery records for a notice
+router.get('/:id/reminders', authenticateToken, authorize('notices:stats'), async (req, res) => {
+    try {
+        const notice = await findNotice(req.params.id);
+
+        if (!notice) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Notice not found',
+                null,
+                `No notice found with ID: ${req.params.id}`
+            ));
+        }
+
+        const dispatches = await ReminderDispatch.find({ notice: notice._id })
+            .sort({ reminderDate: 1, recipient: 1 })
+            .populate('recipient', 'name admissionNo role');
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Notice reminders retrieved successfully',
+            {
+                reminderDates: notice.eventSchedule.reminderDates,
+                dispatches
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving notice reminders',
+            null,
+            error.message
+        ));
+    }
+});
 
 // Additional routes to expose enums
 router.get('/priorities', authenticateToken, (req, res) => {
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize, hasPermission } = require('../middleware/auth');
+const { OfflineWriteStatus } = require('../offlineJournal');
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+router.use(authenticateToken);
+
+// Users see the writes they queued; admins see everyone's
+const canSeeWrite = (req, entry) => (
+    hasPermission(req.user.role, 'offline:manage') || entry.principal.id === req.user.id
+);
+
+// Database state and queued write counts
+router.get('/status', authorize('offline:manage'), async (req, res) => {
+    try {
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Offline status retrieved successfully',
+            await req.app.get('offlineJournal').getStatus()
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving offline status',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Writes accepted while the database was offline, oldest first. Optional ?status=queued|applied|conflict|failed
+router.get('/writes', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !Object.values(OfflineWriteStatus).includes(status)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `status must be one of: ${Object.values(OfflineWriteStatus).join(', ')}`
+            ));
+        }
+
+        const journal = req.app.get('offlineJournal');
+        const entries = await journal.list({
+            status,
+            principalId: hasPermission(req.user.role, 'offline:manage') ? null : req.user.id
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Offline writes retrieved successfully',
+            entries.map(entry => journal.describe(entry))
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving offline writes',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Status of one queued write, as linked from the response that queued it
+router.get('/writes/:id', async (req, res) => {
+    try {
+        const journal = req.app.get('offlineJournal');
+        const entry = await journal.get(req.params.id);
+
+        if (!entry || !canSeeWrite(req, entry)) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Offline write not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Offline write retrieved successfully',
+            journal.describe(entry)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving offline write',
+            null,
+            error.message
+        ));
+    }
+});
+
+module.exports = router;
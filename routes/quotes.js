@@ -1,40 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const { authenticateToken, authenticateTokenOrService, authorize } = require('../middleware/auth');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy";
 const LOCAL_QUOTES_PATH = path.join(__dirname, '..', 'local_quotes.json');
 const ZENQUOTES_API = 'https://zenquotes.io/api/today';
 
-// Authentication middleware 
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({
-            type: "Error",
-            success: false,
-            message: 'Access token is required'
-        });
-    }
-
-    try {
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        req.userId = decoded.id;
-        next();
-    } catch (error) {
-        return res.status(403).json({
-            type: "Error",
-            success: false,
-            message: 'Invalid or expired token'
-        });
-    }
-};
-
 // Get daily quote with API and local fallback
 router.get('/', authenticateToken, async (req, res) => {
     try {
@@ -95,7 +68,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Update local quotes storage
-router.post('/update-local', authenticateToken, async (req, res) => {
+router.post('/update-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
     try {
         // Fetch quotes from Zenquotes API
         const apiResponse = await axios.get(ZENQUOTES_API);
@@ -1,14 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const { authenticateToken, authenticateTokenOrService, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { applyLegacyRecord, toLegacySyncResult } = require('../deltaSync');
 const Report = require('../models/Report');
 const Media = require('../models/Media');
+const { PaginationError, parsePagination, paginateQuery, paginateArray } = require('../pagination');
+const { readLocalRecords, findLocalRecord } = require('../localData');
+const { isDatabaseOnline } = require('../offlineJournal');
+const { matchesLocalSearch } = require('../search');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const mongoose = require('mongoose');
 
-const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || "St-Joseph-Academy";
+// Sort options for list endpoints
+const REPORT_PAGINATION = {
+    sortFields: {
+        dateCreated: 'reportInfo.dateCreated',
+        title: 'title'
+    },
+    defaultSort: 'dateCreated'
+};
 
 const getCurrentDateTime = () => {
     const now = new Date();
@@ -52,65 +65,132 @@ const createResponse = (success, type, message, data = null, error = null) => {
 
 // Use consistently across all routes
 
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ').pop();
+// Owner and media are returned populated by every report read
+const populateReport = (query) => query
+    .populate('user', 'name admissionNo')
+    .populate('media');
 
-    if (!token) {
-        return res.status(401).json(createResponse(
-            false,
-            "Error",
-            'Access token is required'
-        ));
-    }
+// Local reports hold the owner's id, or the owner itself when copied from a populated read
+const localReportOwner = (report) => (
+    report.user ? String(report.user._id || report.user.id || report.user) : null
+);
 
+// Get all reports
+router.get('/', authenticateToken, async (req, res) => {
     try {
-        const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        req.userId = decoded.id;
-        next();
+        const pagination = parsePagination(req.query, REPORT_PAGINATION);
+
+        if (!isDatabaseOnline()) {
+            const localPage = paginateArray(await readLocalRecords('reports'), pagination);
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    'Reports retrieved from local storage',
+                    localPage.items
+                ),
+                pagination: localPage.pagination
+            });
+        }
+
+        const page = await paginateQuery(Report, {}, pagination, populateReport);
+
+        const transformedReports = page.items.map(report => ({
+            ...report.toObject(),
+            id: report._id.toString()
+        }));
+
+        return res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Reports retrieved successfully',
+                transformedReports
+            ),
+            pagination: page.pagination
+        });
     } catch (error) {
-        return res.status(403).json(createResponse(
+        res.status(error.status || 500).json(createResponse(
             false,
             "Error",
-            'Invalid or expired token',
+            error instanceof PaginationError ? error.message : 'Error retrieving reports',
             null,
-            process.env.NODE_ENV === 'development' ? error.message : undefined
+            error.message
         ));
     }
-};
+});
 
-// Get all reports
-router.get('/', authenticateToken, async (req, res) => {
+// Filter reports
+router.get('/filter', authenticateToken, async (req, res) => {
     try {
-        const reports = await Report.find()
-            .populate('user', 'name admissionNo')
-            .populate('media')
-            .sort({ 'reportInfo.dateCreated': -1 });
-        
-        if (!reports || reports.length === 0) {
-            return res.status(404).json(createResponse(
-                false,
-                "Error",
-                'No reports found'
-            ));
+        const { 
+            startDate, 
+            endDate, 
+            type,
+            searchQuery 
+        } = req.query;
+
+        const pagination = parsePagination(req.query, REPORT_PAGINATION);
+        let filter = { user: req.user.id };
+
+        if (startDate && endDate) {
+            filter['reportInfo.dateCreated'] = { 
+                $gte: startDate,
+                $lte: endDate 
+            };
         }
 
-        const transformedReports = reports.map(report => ({
+        if (type) {
+            filter['reportInfo.type'] = type;
+        }
+
+        // Search title and report details through the text index
+        if (searchQuery) {
+            filter.$text = { $search: searchQuery };
+        }
+
+        if (!isDatabaseOnline()) {
+            const localReports = (await readLocalRecords('reports')).filter(report => {
+                const reportInfo = report.reportInfo || {};
+                return localReportOwner(report) === String(req.user.id) &&
+                    (!(startDate && endDate) || (reportInfo.dateCreated >= startDate && reportInfo.dateCreated <= endDate)) &&
+                    (!type || reportInfo.type === type) &&
+                    (!searchQuery || matchesLocalSearch('reports', report, searchQuery));
+            });
+            const localPage = paginateArray(localReports, pagination);
+
+            return res.status(200).json({
+                ...createResponse(
+                    true,
+                    "Success",
+                    'Filtered reports retrieved from local storage',
+                    localPage.items
+                ),
+                pagination: localPage.pagination
+            });
+        }
+
+        const page = await paginateQuery(Report, filter, pagination, populateReport);
+
+        const transformedReports = page.items.map(report => ({
             ...report.toObject(),
             id: report._id.toString()
         }));
 
-        return res.status(200).json(createResponse(
-            true,
-            "Success",
-            'Reports retrieved successfully',
-            transformedReports
-        ));
+        return res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Filtered reports retrieved successfully',
+                transformedReports
+            ),
+            pagination: page.pagination
+        });
     } catch (error) {
-        res.status(500).json(createResponse(
+        res.status(error.status || 500).json(createResponse(
             false,
             "Error",
-            'Error retrieving reports',
+            error instanceof PaginationError ? error.message : 'Error filtering reports',
             null,
             error.message
         ));
@@ -121,6 +201,23 @@ router.get('/', authenticateToken, async (req, res) => {
 router.get('/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
+
+        if (!isDatabaseOnline()) {
+            const localReport = findLocalRecord(await readLocalRecords('reports'), id);
+            if (!localReport) {
+                return res.status(404).json(createResponse(
+                    false,
+                    "Error",
+                    'Report not found'
+                ));
+            }
+            return res.status(200).json(createResponse(
+                true,
+                "Success",
+                'Report retrieved from local storage',
+                { ...localReport, id: localReport.id || localReport._id }
+            ));
+        }
         
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json(createResponse(
@@ -163,18 +260,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new report
-router.post('/create', authenticateToken, async (req, res) => {
+router.post('/create', authenticateToken, authorize('reports:write'), idempotent, async (req, res) => {
     const session = await mongoose.startSession();
     try {
         await session.startTransaction();
 
         //const { title, reportInfo, mediaIds } = req.body;
-        const { title, reportInfo} = req.body;
+        const { title, reportInfo, uuid } = req.body;
         // Validate media
         /*if (mediaIds?.length > 0) {
             const validMediaIds = await Media.find({
                 _id: { $in: mediaIds },
-                user: req.userId
+                user: req.user.id
             }).session(session);
 
             if (validMediaIds.length !== mediaIds.length) {
@@ -184,13 +281,14 @@ router.post('/create', authenticateToken, async (req, res) => {
 
         const { date, time } = getCurrentDateTime();
         const newReport = await Report.create([{
+            ...(uuid && { uuid }),
             title,
             reportInfo: {
                 ...reportInfo,
                 dateCreated: date,
                 timeCreated: time
             },
-            user: req.userId,
+            user: req.user.id,
             media: mediaIds || []
         }], { session });
 
@@ -208,84 +306,27 @@ router.post('/create', authenticateToken, async (req, res) => {
         ));
     } catch (error) {
         await session.abortTransaction();
-        res.status(500).json(createResponse(
-            false,
-            "Error",
-            'Error creating report',
-            null,
-            error.message
-        ));
-    } finally {
-        //session.endSession();
-    }
-});
-
-// Filter reports
-router.get('/filter', authenticateToken, async (req, res) => {
-    try {
-        const { 
-            startDate, 
-            endDate, 
-            type,
-            searchQuery 
-        } = req.query;
-
-        let filter = { user: req.userId };
-
-        if (startDate && endDate) {
-            filter['reportInfo.dateCreated'] = { 
-                $gte: startDate,
-                $lte: endDate 
-            };
-        }
-
-        if (type) {
-            filter['reportInfo.type'] = type;
-        }
-
-        if (searchQuery) {
-            filter.$or = [
-                { title: { $regex: new RegExp(searchQuery, 'i') } },
-                { 'reportInfo.reportDetails': { $regex: new RegExp(searchQuery, 'i') } }
-            ];
-        }
-
-        const reports = await Report.find(filter)
-            .populate('user', 'name admissionNo')
-            .populate('media')
-            .sort({ 'reportInfo.dateCreated': -1 });
-
-        if (!reports || reports.length === 0) {
-            return res.status(404).json(createResponse(
+        if (error.code === 11000) {
+            return res.status(409).json(createResponse(
                 false,
                 "Error",
-                'No reports found matching the filter criteria'
+                'A report with this uuid already exists'
             ));
         }
-
-        const transformedReports = reports.map(report => ({
-            ...report.toObject(),
-            id: report._id.toString()
-        }));
-
-        return res.status(200).json(createResponse(
-            true,
-            "Success",
-            'Filtered reports retrieved successfully',
-            transformedReports
-        ));
-    } catch (error) {
         res.status(500).json(createResponse(
             false,
             "Error",
-            'Error filtering reports',
+            'Error creating report',
             null,
             error.message
         ));
+    } finally {
+        //session.endSession();
     }
 });
 
-router.post('/sync-local', authenticateToken, async (req, res) => {
+// Legacy full upload, kept for older clients. AuthSyncService uses the delta sync API (/api/sync).
+router.post('/sync-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
     try {
         const { reports } = req.body;
 
@@ -304,21 +345,21 @@ router.post('/sync-local', authenticateToken, async (req, res) => {
 
         for (const report of reports) {
             try {
-                // Check if report already exists
-                const existingReport = await Report.findOne({
-                    $and: [
-                        { title: report.title },
-                        { 'reportInfo.dateCreated': report.reportInfo.dateCreated },
-                        { 'reportInfo.timeCreated': report.reportInfo.timeCreated }
-                    ]
-                });
+                // Check if report already exists, by uuid when the client sent one
+                const existingReport = await Report.findOne(report.uuid
+                    ? { uuid: String(report.uuid).toLowerCase() }
+                    : {
+                        $and: [
+                            { title: report.title },
+                            { 'reportInfo.dateCreated': report.reportInfo.dateCreated },
+                            { 'reportInfo.timeCreated': report.reportInfo.timeCreated }
+                        ]
+                    });
 
                 if (existingReport) {
-                    results.success.push({
-                        id: existingReport._id.toString(),
-                        status: 'skipped',
-                        message: 'Report already exists'
-                    });
+                    // Uploads that differ from the server copy are settled by the reports conflict policy
+                    const outcome = await applyLegacyRecord('reports', existingReport, report, req);
+                    results.success.push(toLegacySyncResult(outcome, 'Report'));
                     continue;
                 }
 
@@ -350,6 +391,8 @@ router.post('/sync-local', authenticateToken, async (req, res) => {
                     total: reports.length,
                     created: results.success.filter(r => r.status === 'created').length,
                     skipped: results.success.filter(r => r.status === 'skipped').length,
+                    updated: results.success.filter(r => r.status === 'updated').length,
+                    conflict: results.success.filter(r => r.status === 'conflict').length,
                     failed: results.failed.length
                 }
             }
@@ -366,7 +409,7 @@ router.post('/sync-local', authenticateToken, async (req, res) => {
 });
 
 // Update local reports
-router.post('/update-local', authenticateToken, async (req, res) => {
+router.post('/update-local', authenticateTokenOrService, authorize('sync'), async (req, res) => {
     try {
         const reports = await Report.find()
             .sort({ 'reportInfo.dateCreated': -1 })
@@ -401,7 +444,7 @@ router.post('/update-local', authenticateToken, async (req, res) => {
     }
 });
 
-router.put('/update-reports/:id', upload.array('media', 10), async (req, res) => {
+router.put('/update-reports/:id', authenticateToken, authorize('reports:write'), upload.array('media', 10), async (req, res) => {
     try {
         const report = await Report.findById(req.params.id);
         if (!report) {
@@ -452,7 +495,7 @@ router.put('/update-reports/:id', upload.array('media', 10), async (req, res) =>
 });
 
 // Delete a report
-router.delete('/reports/:id', async (req, res) => {
+router.delete('/reports/:id', authenticateToken, authorize('reports:write'), async (req, res) => {
     try {
         const report = await Report.findById(req.params.id).populate('media');
         if (!report) {
@@ -480,7 +523,7 @@ router.delete('/reports/:id', async (req, res) => {
 });
 
 // Delete specific media from a report
-router.delete('/:reportId/media/:mediaId', async (req, res) => {
+router.delete('/:reportId/media/:mediaId', authenticateToken, authorize('reports:write'), async (req, res) => {
     try {
         const report = await Report.findById(req.params.reportId);
         if (!report) {
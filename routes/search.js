@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { SEARCH_TYPES, search } = require('../search');
+
+const MAX_LIMIT = 50;
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Unified ranked search: GET /api/search?q=exam&types=notices,reports&limit=20&source=local
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { q, types, limit, source } = req.query;
+
+        if (!q || !String(q).trim()) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Search query (q) is required'
+            ));
+        }
+
+        const requestedTypes = types ? String(types).split(',') : Object.keys(SEARCH_TYPES);
+        const unknownTypes = requestedTypes.filter(type => !SEARCH_TYPES[type]);
+        if (unknownTypes.length > 0) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `Unknown search types: ${unknownTypes.join(', ')}. Allowed: ${Object.keys(SEARCH_TYPES).join(', ')}`
+            ));
+        }
+
+        const results = await search(String(q).trim(), {
+            types: requestedTypes,
+            limit: Math.min(parseInt(limit, 10) || 20, MAX_LIMIT),
+            source
+        });
+
+        return res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Search results retrieved successfully',
+            results
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error searching',
+            null,
+            error.message
+        ));
+    }
+});
+
+module.exports = router;
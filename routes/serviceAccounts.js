@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { ServiceAccount, ServiceAccountScope } = require('../models/ServiceAccount');
+const { AuditLog, AuditAction } = require('../models/AuditLog');
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Service accounts are managed by admins only
+router.use(authenticateToken, authorize('service-accounts:manage'));
+
+const toServiceAccountResponse = (account) => ({
+    id: account._id.toString(),
+    name: account.name,
+    clientId: account.clientId,
+    scopes: account.scopes,
+    active: account.active,
+    createdAt: account.createdAt,
+    rotatedAt: account.rotatedAt,
+    lastUsedAt: account.lastUsedAt
+});
+
+const validateScopes = (scopes) => (
+    Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => Object.values(ServiceAccountScope).includes(scope))
+);
+
+const findServiceAccount = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json(createResponse(
+            false,
+            "Error",
+            'Invalid service account ID format'
+        ));
+        return null;
+    }
+
+    const account = await ServiceAccount.findById(req.params.id);
+    if (!account) {
+        res.status(404).json(createResponse(
+            false,
+            "Error",
+            'Service account not found'
+        ));
+        return null;
+    }
+    return account;
+};
+
+// List service accounts
+router.get('/', async (req, res) => {
+    try {
+        const accounts = await ServiceAccount.find().sort({ name: 1 });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Service accounts retrieved successfully',
+            accounts.map(toServiceAccountResponse)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving service accounts',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Create a service account. The client secret is only ever returned here and on rotation.
+router.post('/', async (req, res) => {
+    try {
+        const { name } = req.body;
+        const scopes = req.body.scopes || [ServiceAccountScope.SYNC];
+
+        if (!name || String(name).trim().length < 2) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Name must be at least 2 characters'
+            ));
+        }
+
+        if (!validateScopes(scopes)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `Scopes must be a non-empty list of: ${Object.values(ServiceAccountScope).join(', ')}`
+            ));
+        }
+
+        const account = new ServiceAccount({
+            name: String(name).trim(),
+            clientId: ServiceAccount.generateClientId(),
+            scopes,
+            createdBy: req.user.id
+        });
+        const clientSecret = account.rotateSecret();
+        await account.save();
+
+        await AuditLog.record(AuditAction.SERVICE_ACCOUNT_CREATED, {
+            actor: req.user.id,
+            req,
+            details: { serviceAccountId: account._id.toString(), name: account.name, scopes: account.scopes }
+        });
+
+        res.status(201).json(createResponse(
+            true,
+            "Success",
+            'Service account created. Store the client secret now, it will not be shown again',
+            {
+                ...toServiceAccountResponse(account),
+                clientSecret
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error creating service account',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Rename, change scopes or enable/disable. Disabling revokes outstanding access tokens.
+router.patch('/:id', async (req, res) => {
+    try {
+        const account = await findServiceAccount(req, res);
+        if (!account) return;
+
+        const { name, scopes, active } = req.body;
+        const changes = {};
+
+        if (name !== undefined) {
+            if (String(name).trim().length < 2) {
+                return res.status(400).json(createResponse(
+                    false,
+                    "Error",
+                    'Name must be at least 2 characters'
+                ));
+            }
+            account.name = String(name).trim();
+            changes.name = account.name;
+        }
+
+        if (scopes !== undefined) {
+            if (!validateScopes(scopes)) {
+                return res.status(400).json(createResponse(
+                    false,
+                    "Error",
+                    `Scopes must be a non-empty list of: ${Object.values(ServiceAccountScope).join(', ')}`
+                ));
+            }
+            account.scopes = scopes;
+            changes.scopes = scopes;
+        }
+
+        if (active !== undefined) {
+            const isActive = active === true || active === 'true';
+            if (account.active && !isActive) {
+                account.secretVersion += 1;
+            }
+            account.active = isActive;
+            changes.active = isActive;
+        }
+
+        await account.save();
+
+        await AuditLog.record(AuditAction.SERVICE_ACCOUNT_UPDATED, {
+            actor: req.user.id,
+            req,
+            details: { serviceAccountId: account._id.toString(), changes }
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Service account updated successfully',
+            toServiceAccountResponse(account)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error updating service account',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Issue a new client secret. The old secret and any access tokens issued with it stop working.
+router.post('/:id/rotate', async (req, res) => {
+    try {
+        const account = await findServiceAccount(req, res);
+        if (!account) return;
+
+        const clientSecret = account.rotateSecret();
+        await account.save();
+
+        await AuditLog.record(AuditAction.SERVICE_ACCOUNT_ROTATED, {
+            actor: req.user.id,
+            req,
+            details: { serviceAccountId: account._id.toString(), name: account.name }
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Client secret rotated. Store the new secret now, it will not be shown again',
+            {
+                ...toServiceAccountResponse(account),
+                clientSecret
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error rotating client secret',
+            null,
+            error.message
+        ));
+    }
+});
+
+module.exports = router;
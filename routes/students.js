@@ -0,0 +1,371 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const multer = require('multer');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { PaginationError, parsePagination, paginateQuery } = require('../pagination');
+
+// Fields an admin can set on a roster entry
+const STUDENT_FIELDS = ['admissionNo', 'name', 'grade', 'section', 'guardianName', 'guardianPhone', 'academicYear', 'active'];
+const REQUIRED_CSV_COLUMNS = ['admissionNo', 'name', 'grade', 'section', 'guardianPhone'];
+
+// Sort options for list endpoints
+const STUDENT_PAGINATION = {
+    sortFields: {
+        admissionNo: 'admissionNo',
+        name: 'name',
+        grade: 'grade'
+    },
+    defaultSort: 'admissionNo',
+    defaultOrder: 'asc'
+};
+
+// CSV files are held in memory, they are small
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Parse CSV text into rows of strings. Handles quoted fields, escaped quotes and CRLF.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const pickStudentFields = (body) => {
+    const fields = {};
+    for (const field of STUDENT_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    return fields;
+};
+
+// Keep a registered user's class, and the copy on their guardians' accounts, in step with the roster
+const syncUserClass = async (student) => {
+    await User.updateOne(
+        { admissionNo: student.admissionNo },
+        { grade: student.grade, section: student.section }
+    );
+    await User.updateMany(
+        { 'linkedStudents.admissionNo': student.admissionNo },
+        {
+            $set: {
+                'linkedStudents.$[child].name': student.name,
+                'linkedStudents.$[child].grade': student.grade,
+                'linkedStudents.$[child].section': student.section
+            }
+        },
+        { arrayFilters: [{ 'child.admissionNo': student.admissionNo }] }
+    );
+};
+
+const validationErrors = (error) => Object.values(error.errors || {}).map(err => ({
+    field: err.path,
+    message: err.message
+}));
+
+const sendStudentError = (res, error, message) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json(createResponse(
+            false,
+            "Error",
+            'Validation failed',
+            validationErrors(error)
+        ));
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json(createResponse(
+            false,
+            "Error",
+            'A student with this admission number already exists'
+        ));
+    }
+
+    res.status(error.status || 500).json(createResponse(
+        false,
+        "Error",
+        error instanceof PaginationError ? error.message : message,
+        null,
+        error.message
+    ));
+};
+
+router.use(authenticateToken, authorize('students:manage'));
+
+// List roster entries, filterable by grade, section, academicYear and active
+router.get('/', async (req, res) => {
+    try {
+        const { grade, section, academicYear, active } = req.query;
+        const pagination = parsePagination(req.query, STUDENT_PAGINATION);
+        const filter = {};
+
+        if (grade) filter.grade = grade;
+        if (section) filter.section = section;
+        if (academicYear) filter.academicYear = academicYear;
+        if (active !== undefined) filter.active = active === 'true';
+
+        const page = await paginateQuery(Student, filter, pagination);
+
+        res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Students retrieved successfully',
+                page.items
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        sendStudentError(res, error, 'Error retrieving students');
+    }
+});
+
+// Bulk import from CSV with a header row:
+// admissionNo,name,grade,section,guardianPhone[,guardianName][,academicYear]
+// Existing admission numbers are updated, new ones created; each bad row is reported.
+router.post('/import', upload.single('file'), async (req, res) => {
+    try {
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+        if (!text) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Upload a CSV file (field "file") or send it as "csv" in the body'
+            ));
+        }
+
+        const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+        const columns = (header || []).map(column => column.trim());
+        const missingColumns = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+
+        if (missingColumns.length > 0) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `CSV is missing columns: ${missingColumns.join(', ')}`
+            ));
+        }
+
+        const results = {
+            created: [],
+            updated: [],
+            failed: []
+        };
+        const seen = new Set();
+
+        for (let index = 0; index < rows.length; index++) {
+            // Row numbers match the file, counting the header as row 1
+            const rowNumber = index + 2;
+            const record = {};
+            columns.forEach((column, i) => {
+                if (STUDENT_FIELDS.includes(column) && rows[index][i] !== undefined && rows[index][i].trim() !== '') {
+                    record[column] = rows[index][i].trim();
+                }
+            });
+
+            if (record.active !== undefined) {
+                record.active = !['false', '0', 'no'].includes(record.active.toLowerCase());
+            }
+
+            if (record.admissionNo && seen.has(record.admissionNo)) {
+                results.failed.push({
+                    row: rowNumber,
+                    admissionNo: record.admissionNo,
+                    errors: [{ field: 'admissionNo', message: 'Duplicate admission number in file' }]
+                });
+                continue;
+            }
+            seen.add(record.admissionNo);
+
+            try {
+                let student = await Student.findOne({ admissionNo: record.admissionNo });
+                const isNew = !student;
+
+                if (isNew) {
+                    student = new Student(record);
+                } else {
+                    student.set(record);
+                }
+
+                await student.save();
+                await syncUserClass(student);
+                (isNew ? results.created : results.updated).push({ row: rowNumber, admissionNo: student.admissionNo });
+            } catch (error) {
+                results.failed.push({
+                    row: rowNumber,
+                    admissionNo: record.admissionNo || null,
+                    errors: error.name === 'ValidationError'
+                        ? validationErrors(error)
+                        : [{ field: null, message: error.message }]
+                });
+            }
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Student roster import finished',
+            {
+                ...results,
+                summary: {
+                    total: rows.length,
+                    created: results.created.length,
+                    updated: results.updated.length,
+                    failed: results.failed.length
+                }
+            }
+        ));
+    } catch (error) {
+        sendStudentError(res, error, 'Error importing students');
+    }
+});
+
+router.get('/:admissionNo', async (req, res) => {
+    try {
+        const student = await Student.findOne({ admissionNo: req.params.admissionNo });
+
+        if (!student) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Student not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Student retrieved successfully',
+            student
+        ));
+    } catch (error) {
+        sendStudentError(res, error, 'Error retrieving student');
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const student = await new Student(pickStudentFields(req.body)).save();
+        await syncUserClass(student);
+
+        res.status(201).json(createResponse(
+            true,
+            "Success",
+            'Student created successfully',
+            student
+        ));
+    } catch (error) {
+        sendStudentError(res, error, 'Error creating student');
+    }
+});
+
+// Update a roster entry (PUT and PATCH both merge the supplied fields)
+const updateStudent = async (req, res) => {
+    try {
+        const student = await Student.findOne({ admissionNo: req.params.admissionNo });
+
+        if (!student) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Student not found'
+            ));
+        }
+
+        const fields = pickStudentFields(req.body);
+        delete fields.admissionNo;  // Admission numbers are permanent
+
+        student.set(fields);
+        await student.save();
+        await syncUserClass(student);
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Student updated successfully',
+            student
+        ));
+    } catch (error) {
+        sendStudentError(res, error, 'Error updating student');
+    }
+};
+
+router.put('/:admissionNo', updateStudent);
+router.patch('/:admissionNo', updateStudent);
+
+router.delete('/:admissionNo', async (req, res) => {
+    try {
+        const student = await Student.findOneAndDelete({ admissionNo: req.params.admissionNo });
+
+        if (!student) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Student not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Student deleted successfully',
+            { admissionNo: student.admissionNo }
+        ));
+    } catch (error) {
+        sendStudentError(res, error, 'Error deleting student');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authenticateTokenOrService, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { SYNC_COLLECTIONS, SyncError, getChanges, applyChanges, resolveConflict } = require('../deltaSync');
+const { SyncPolicy, ConflictPolicy, DEFAULT_CONFLICT_POLICY } = require('../models/SyncPolicy');
+const { SyncConflict, SyncConflictStatus, SyncConflictResolution } = require('../models/SyncConflict');
+const { SyncRun, SyncRunStatus, SyncRunTrigger } = require('../models/SyncRun');
+const { PaginationError, parsePagination, paginateQuery } = require('../pagination');
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Change endpoints are for the sync service account (or an admin); conflicts and policies are
+// managed by admins
+const syncClient = [authenticateTokenOrService, authorize('sync')];
+const syncAdmin = [authenticateToken, authorize('sync:manage')];
+
+const CONFLICT_PAGINATION = {
+    sortFields: {
+        createdAt: 'createdAt'
+    },
+    defaultSort: 'createdAt'
+};
+
+const RUN_PAGINATION = {
+    sortFields: {
+        startedAt: 'startedAt',
+        durationMs: 'durationMs'
+    },
+    defaultSort: 'startedAt'
+};
+
+// The AuthSyncService started in app.js; missing if the app runs without one
+const getSyncService = (req) => {
+    const syncService = req.app.get('syncService');
+    if (!syncService) {
+        throw new SyncError('Sync service is not running', 503);
+    }
+    return syncService;
+};
+
+const sendSyncError = (res, error, message) => {
+    let status = 500;
+    if (error instanceof SyncError || error instanceof PaginationError) status = error.status;
+    if (error.name === 'ValidationError') status = 400;
+
+    res.status(status).json(createResponse(
+        false,
+        "Error",
+        status === 500 ? message : error.message,
+        null,
+        error.message
+    ));
+};
+
+// Conflict policy of every sync collection
+router.get('/policies', syncAdmin, async (req, res) => {
+    try {
+        const stored = await SyncPolicy.find().lean();
+        const policies = Object.keys(SYNC_COLLECTIONS).map(collection => {
+            const policy = stored.find(item => item._id === collection);
+            return {
+                collection,
+                conflictPolicy: policy ? policy.conflictPolicy : DEFAULT_CONFLICT_POLICY,
+                updatedAt: policy ? policy.updatedAt : null
+            };
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync policies retrieved successfully',
+            { policies, available: Object.values(ConflictPolicy) }
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error retrieving sync policies');
+    }
+});
+
+// Set a collection's conflict policy: { conflictPolicy }
+router.put('/policies/:collection', syncAdmin, async (req, res) => {
+    try {
+        const { collection } = req.params;
+        const { conflictPolicy } = req.body;
+
+        if (!SYNC_COLLECTIONS[collection]) {
+            throw new SyncError(`Unknown sync collection. Allowed: ${Object.keys(SYNC_COLLECTIONS).join(', ')}`, 404);
+        }
+        if (!Object.values(ConflictPolicy).includes(conflictPolicy)) {
+            throw new SyncError(`conflictPolicy must be one of: ${Object.values(ConflictPolicy).join(', ')}`);
+        }
+
+        const policy = await SyncPolicy.findByIdAndUpdate(
+            collection,
+            { conflictPolicy, updatedBy: req.user.id },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync policy updated successfully',
+            { collection, conflictPolicy: policy.conflictPolicy, updatedAt: policy.updatedAt }
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error updating sync policy');
+    }
+});
+
+const findConflict = async (id) => (
+    mongoose.Types.ObjectId.isValid(id) ? SyncConflict.findById(id) : null
+);
+
+// Conflicts queued under the manual policy. ?status=open|resolved (default open), ?collection=
+router.get('/conflicts', syncAdmin, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, CONFLICT_PAGINATION);
+        const { status = SyncConflictStatus.OPEN, collection } = req.query;
+
+        if (!Object.values(SyncConflictStatus).includes(status)) {
+            throw new SyncError(`status must be one of: ${Object.values(SyncConflictStatus).join(', ')}`);
+        }
+
+        const filter = { status };
+        if (collection) filter.collectionName = String(collection);
+
+        const page = await paginateQuery(SyncConflict, filter, pagination);
+
+        res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Sync conflicts retrieved successfully',
+                page.items
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        sendSyncError(res, error, 'Error retrieving sync conflicts');
+    }
+});
+
+// One conflict with both copies, plus the record as it is on the server now
+router.get('/conflicts/:id', syncAdmin, async (req, res) => {
+    try {
+        const conflict = await findConflict(req.params.id);
+        if (!conflict) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Sync conflict not found'
+            ));
+        }
+
+        const { Model } = SYNC_COLLECTIONS[conflict.collectionName];
+        const current = conflict.recordId && mongoose.Types.ObjectId.isValid(conflict.recordId)
+            ? await Model.findById(conflict.recordId)
+            : await Model.findOne({ uuid: conflict.uuid });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync conflict retrieved successfully',
+            { ...conflict.toObject(), currentRecord: current }
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error retrieving sync conflict');
+    }
+});
+
+// Settle a conflict: { resolution: 'server' | 'client' | 'custom', record? (for custom), force? }
+router.post('/conflicts/:id/resolve', syncAdmin, async (req, res) => {
+    try {
+        const { resolution, record, force } = req.body;
+
+        if (!Object.values(SyncConflictResolution).includes(resolution)) {
+            throw new SyncError(`resolution must be one of: ${Object.values(SyncConflictResolution).join(', ')}`);
+        }
+        if (resolution === SyncConflictResolution.CUSTOM && (!record || typeof record !== 'object')) {
+            throw new SyncError('record is required for a custom resolution');
+        }
+
+        const conflict = await findConflict(req.params.id);
+        if (!conflict) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'Sync conflict not found'
+            ));
+        }
+
+        const result = await resolveConflict(conflict, resolution, record, req, { force: Boolean(force) });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync conflict resolved',
+            { conflict, result }
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error resolving sync conflict');
+    }
+});
+
+// State of the sync loop, with the latest run and the latest successful one
+router.get('/status', syncAdmin, async (req, res) => {
+    try {
+        const syncService = getSyncService(req);
+        const [lastRun, lastSuccessfulRun] = await Promise.all([
+            SyncRun.findOne({ status: { $ne: SyncRunStatus.RUNNING } }).sort({ startedAt: -1 }).lean(),
+            SyncRun.findOne({ status: SyncRunStatus.SUCCESS }).sort({ startedAt: -1 }).lean()
+        ]);
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync status retrieved successfully',
+            {
+                ...syncService.getStatus(),
+                lastRun: lastRun || syncService.lastRun,
+                lastSuccessfulRun
+            }
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error retrieving sync status');
+    }
+});
+
+// Past sync runs, newest first. Optional ?status=running|success|partial|failed, ?trigger=interval|manual
+router.get('/history', syncAdmin, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, RUN_PAGINATION);
+        const { status, trigger } = req.query;
+
+        if (status && !Object.values(SyncRunStatus).includes(status)) {
+            throw new SyncError(`status must be one of: ${Object.values(SyncRunStatus).join(', ')}`);
+        }
+        if (trigger && !Object.values(SyncRunTrigger).includes(trigger)) {
+            throw new SyncError(`trigger must be one of: ${Object.values(SyncRunTrigger).join(', ')}`);
+        }
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (trigger) filter.trigger = trigger;
+
+        const page = await paginateQuery(SyncRun, filter, pagination);
+
+        res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Sync history retrieved successfully',
+                page.items
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        sendSyncError(res, error, 'Error retrieving sync history');
+    }
+});
+
+// Sync now instead of waiting for the interval; answers once the run has finished
+router.post('/run', syncAdmin, async (req, res) => {
+    try {
+        const syncService = getSyncService(req);
+        if (syncService.isSyncing()) {
+            throw new SyncError('A sync is already running', 409);
+        }
+
+        const run = await syncService.runNow(req.user.id);
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            run.status === SyncRunStatus.SUCCESS ? 'Sync completed' : `Sync finished with status ${run.status}`,
+            run
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error running sync');
+    }
+});
+
+// Stop the interval loop; POST /run still works while paused
+router.post('/pause', syncAdmin, (req, res) => {
+    try {
+        const syncService = getSyncService(req);
+        syncService.pause();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync paused',
+            syncService.getStatus()
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error pausing sync');
+    }
+});
+
+router.post('/resume', syncAdmin, (req, res) => {
+    try {
+        const syncService = getSyncService(req);
+        syncService.resume();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Sync resumed',
+            syncService.getStatus()
+        ));
+    } catch (error) {
+        sendSyncError(res, error, 'Error resuming sync');
+    }
+});
+
+// Pull changes after ?cursor= (omit it for a full first sync). Keep calling with the returned
+// cursor while hasMore is true.
+router.get('/:collection/changes', syncClient, async (req, res) => {
+    try {
+        const page = await getChanges(req.params.collection, {
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Changes retrieved successfully',
+            page
+        ));
+    } catch (error) {
+        res.status(error instanceof SyncError ? error.status : 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof SyncError ? error.message : 'Error retrieving changes',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Push local changes: { changes: [{ op: 'upsert', id?, uuid?, baseVersion?, record } | { op: 'delete', id?, uuid?, baseVersion? }] }
+// Changes may add modifiedAt and changedFields for the last-writer-wins and merge conflict policies.
+// Records the server hasn't confirmed yet are matched by the uuid the client gave them.
+// Send an Idempotency-Key header to make a retried push safe.
+router.post('/:collection/changes', syncClient, idempotent, async (req, res) => {
+    try {
+        const result = await applyChanges(req.params.collection, req.body.changes, req);
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Changes applied',
+            result
+        ));
+    } catch (error) {
+        res.status(error instanceof SyncError ? error.status : 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof SyncError ? error.message : 'Error applying changes',
+            null,
+            error.message
+        ));
+    }
+});
+
+module.exports = router;
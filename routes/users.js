@@ -1,9 +1,499 @@
 var express = require('express');
 var router = express.Router();
+const { authenticateToken, authorize } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { UserRole } = require('../models/User');
+const { LoginThrottle, LOGIN_THROTTLE } = require('../models/LoginThrottle');
+const { AuditLog, AuditAction } = require('../models/AuditLog');
+const { RefreshToken } = require('../models/RefreshToken');
+const { PaginationError, parsePagination, paginateQuery } = require('../pagination');
+const { escapeRegExp } = require('../search');
+const { OtpResult, otpRecentlySent, sendOtp, verifyOtp } = require('../otp');
 
-/* GET users listing. */
-router.get('/', function(req, res, next) {
-  res.send('respond with a resource');
+const SALT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;  // Same rule as registration
+
+// Matches the Kotlin BaseApiResponse format
+const createResponse = (success, type, message, data = null, error = null) => {
+    return {
+        success,
+        type,
+        message,
+        data,
+        ...(error && process.env.NODE_ENV === 'development' && { error })
+    };
+};
+
+// Sort options for the admin listing
+const USER_PAGINATION = {
+    sortFields: {
+        name: 'name',
+        admissionNo: 'admissionNo',
+        createdAt: 'createdAt'
+    },
+    defaultSort: 'name',
+    defaultOrder: 'asc'
+};
+
+// Only these fields are ever sent to clients; password, OTP and token fields stay on the server
+const toUserResponse = (user) => ({
+    id: user._id.toString(),
+    name: user.name,
+    admissionNo: user.admissionNo || null,
+    phone: user.phone,
+    pendingPhone: user.pendingPhone || null,
+    phoneVerified: user.phoneVerified,
+    role: user.role,
+    grade: user.grade,
+    section: user.section,
+    ...(user.role === UserRole.PARENT && { linkedStudents: user.linkedStudents || [] }),
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+});
+
+const phoneChangePurpose = (phone) => `phone-change:${phone}`;
+
+// Guardians sign in with their phone, so no two guardian accounts may share one
+const guardianPhoneTaken = (user, phone) => (
+    user.role === UserRole.PARENT
+        ? User.exists({ phone, role: UserRole.PARENT, _id: { $ne: user._id } })
+        : null
+);
+
+// List users (admin). Optional q (name, admission number or phone), role, grade and section filters.
+router.get('/', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, USER_PAGINATION);
+        const { q, role, grade, section } = req.query;
+        const filter = {};
+
+        if (q) {
+            const pattern = new RegExp(escapeRegExp(String(q).trim()), 'i');
+            filter.$or = [{ name: pattern }, { admissionNo: pattern }, { phone: pattern }];
+        }
+        if (role) filter.role = String(role);
+        if (grade) filter.grade = String(grade);
+        if (section) filter.section = String(section);
+
+        const page = await paginateQuery(User, filter, pagination);
+
+        res.status(200).json({
+            ...createResponse(
+                true,
+                "Success",
+                'Users retrieved successfully',
+                page.items.map(toUserResponse)
+            ),
+            pagination: page.pagination
+        });
+    } catch (error) {
+        res.status(error.status || 500).json(createResponse(
+            false,
+            "Error",
+            error instanceof PaginationError ? error.message : 'Error retrieving users',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Get the signed-in user's profile
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Profile retrieved successfully',
+            toUserResponse(user)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error retrieving profile',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Update name and/or phone. A new phone only replaces the old one after POST /me/phone/verify.
+router.patch('/me', authenticateToken, async (req, res) => {
+    try {
+        const { name, phone } = req.body;
+        const errors = [];
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2)) {
+            errors.push({ field: 'name', message: 'Name must be at least 2 characters' });
+        }
+
+        if (phone !== undefined && !String(phone).match(/^\d{10}$/)) {
+            errors.push({ field: 'phone', message: 'Phone number must be 10 digits' });
+        }
+
+        if (errors.length) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Validation failed',
+                errors
+            ));
+        }
+
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        const newPhone = phone !== undefined && String(phone) !== user.phone ? String(phone) : null;
+
+        if (newPhone) {
+            if (await guardianPhoneTaken(user, newPhone)) {
+                return res.status(409).json(createResponse(
+                    false,
+                    "Error",
+                    'Phone number is already registered to another guardian'
+                ));
+            }
+
+            if (otpRecentlySent(user)) {
+                return res.status(429).json(createResponse(
+                    false,
+                    "Error",
+                    'Please wait before requesting another OTP'
+                ));
+            }
+        }
+
+        if (name !== undefined) {
+            user.name = name.trim();
+        }
+
+        if (newPhone) {
+            user.pendingPhone = newPhone;
+            // Saves the user along with the OTP
+            await sendOtp(user, phoneChangePurpose(newPhone), otp =>
+                `Your St. Joseph Academy OTP to confirm this phone number is ${otp}. It expires in 5 minutes.`,
+                newPhone
+            );
+        } else {
+            await user.save();
+        }
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            newPhone ? 'Profile updated. Enter the OTP sent to the new phone number to confirm it' : 'Profile updated successfully',
+            {
+                ...toUserResponse(user),
+                phoneVerificationRequired: Boolean(newPhone)
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error updating profile',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Confirm a pending phone change with the OTP sent to the new number
+router.post('/me/phone/verify', authenticateToken, async (req, res) => {
+    try {
+        const { otp } = req.body;
+        if (!otp) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'OTP is required'
+            ));
+        }
+
+        const user = await User.findById(req.user.id).select('+otp');
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        if (!user.pendingPhone) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'No phone change is pending'
+            ));
+        }
+
+        const result = await verifyOtp(user, phoneChangePurpose(user.pendingPhone), otp);
+        if (result !== OtpResult.VALID) {
+            return res.status(result === OtpResult.TOO_MANY_ATTEMPTS ? 429 : 400).json(createResponse(
+                false,
+                "Error",
+                result === OtpResult.TOO_MANY_ATTEMPTS ? 'Too many attempts. Please request a new OTP' : 'Invalid or expired OTP'
+            ));
+        }
+
+        if (await guardianPhoneTaken(user, user.pendingPhone)) {
+            return res.status(409).json(createResponse(
+                false,
+                "Error",
+                'Phone number is already registered to another guardian'
+            ));
+        }
+
+        const previousPhone = user.phone;
+        user.phone = user.pendingPhone;
+        user.pendingPhone = null;
+        user.phoneVerified = true;
+        await user.save();
+
+        await AuditLog.record(AuditAction.PHONE_CHANGED, {
+            admissionNo: user.admissionNo || null,
+            user: user._id,
+            actor: user._id,
+            req,
+            details: { previousPhone, phone: user.phone }
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Phone number updated successfully',
+            toUserResponse(user)
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error verifying phone number',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Change the password after checking the current one. Other devices are signed out.
+router.post('/me/password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Current password is required'
+            ));
+        }
+
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Validation failed',
+                [{ field: 'newPassword', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }]
+            ));
+        }
+
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        // Wrong current passwords count towards the same lockout as failed logins
+        const identifier = LoginThrottle.identifierFor(user);
+        const throttle = await LoginThrottle.reserveAttempt(identifier);
+        if (!throttle.allowed) {
+            res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+            return res.status(throttle.locked ? 423 : 429).json(createResponse(
+                false,
+                "Error",
+                throttle.locked ? 'Account temporarily locked after too many failed attempts' : 'Too many failed attempts, please wait before trying again'
+            ));
+        }
+
+        if (!(await bcrypt.compare(String(currentPassword), user.password))) {
+            const { locked } = await LoginThrottle.recordFailure(identifier);
+            if (locked) {
+                await AuditLog.record(AuditAction.ACCOUNT_LOCKED, {
+                    admissionNo: user.admissionNo || null,
+                    user: user._id,
+                    req,
+                    details: { source: 'password-change', lockDurationMs: LOGIN_THROTTLE.LOCK_DURATION_MS }
+                });
+            }
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Current password is incorrect'
+            ));
+        }
+
+        await LoginThrottle.clearFailures(identifier);
+
+        user.password = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        await user.save();
+
+        // Keep the device that made the change signed in
+        const revoked = await RefreshToken.revokeWhere({
+            user: user._id,
+            ...(req.user.sessionId && { familyId: { $ne: req.user.sessionId } })
+        }, 'password-change');
+
+        await AuditLog.record(AuditAction.PASSWORD_CHANGED, {
+            admissionNo: user.admissionNo || null,
+            user: user._id,
+            actor: user._id,
+            req
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'Password changed successfully',
+            { revokedTokens: revoked.modifiedCount }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error changing password',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Change a user's role. Takes effect on the user's next access token.
+router.patch('/:id/role', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!Object.values(UserRole).includes(role)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                `Role must be one of: ${Object.values(UserRole).join(', ')}`
+            ));
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Invalid user ID format'
+            ));
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        user.role = role;
+        await user.save();
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            'User role updated successfully',
+            {
+                id: user._id.toString(),
+                admissionNo: user.admissionNo,
+                role: user.role
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error updating user role',
+            null,
+            error.message
+        ));
+    }
+});
+
+// Lift a login lockout and clear the failed-attempt count for a user
+router.post('/:id/unlock', authenticateToken, authorize('users:manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json(createResponse(
+                false,
+                "Error",
+                'Invalid user ID format'
+            ));
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json(createResponse(
+                false,
+                "Error",
+                'User not found'
+            ));
+        }
+
+        const previous = await LoginThrottle.unlock(LoginThrottle.identifierFor(user));
+        const wasLocked = Boolean(previous && previous.lockedUntil && previous.lockedUntil > new Date());
+
+        await AuditLog.record(AuditAction.ACCOUNT_UNLOCKED, {
+            admissionNo: user.admissionNo,
+            user: user._id,
+            actor: req.user.id,
+            req,
+            details: {
+                wasLocked,
+                failedCount: previous ? previous.failedCount : 0
+            }
+        });
+
+        res.status(200).json(createResponse(
+            true,
+            "Success",
+            wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed attempts cleared',
+            {
+                id: user._id.toString(),
+                admissionNo: user.admissionNo,
+                wasLocked
+            }
+        ));
+    } catch (error) {
+        res.status(500).json(createResponse(
+            false,
+            "Error",
+            'Error unlocking account',
+            null,
+            error.message
+        ));
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,256 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const { Notice, NoticeStatus } = require('./models/Notice');
+const Report = require('./models/Report');
+const Media = require('./models/Media');
+const { LOCAL_PATHS } = require('./localData');
+
+const SNIPPET_LENGTH = 160;
+const HIGHLIGHT_OPEN = '<mark>';
+const HIGHLIGHT_CLOSE = '</mark>';
+
+// Common words MongoDB's english text index ignores; dropped from local searches too
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+    'it', 'of', 'on', 'or', 'the', 'to', 'was', 'will', 'with'
+]);
+
+// Searchable collections. Field weights match the text indexes declared on the models.
+const SEARCH_TYPES = {
+    notices: {
+        model: Notice,
+        filter: { status: { $ne: NoticeStatus.DRAFT } },
+        fields: [
+            { path: 'title', weight: 10 },
+            { path: 'noticeInfo.noticeDetails', weight: 2 }
+        ],
+        localPath: LOCAL_PATHS.notices,
+        localKey: 'notices',
+        describe: (item) => ({
+            date: item.eventSchedule && item.eventSchedule.dateFromStart,
+            category: item.noticeInfo && item.noticeInfo.noticeType
+        })
+    },
+    reports: {
+        model: Report,
+        filter: {},
+        fields: [
+            { path: 'title', weight: 10 },
+            { path: 'reportInfo.reportDetails', weight: 2 }
+        ],
+        localPath: LOCAL_PATHS.reports,
+        localKey: 'reports',
+        describe: (item) => ({
+            date: item.reportInfo && item.reportInfo.dateCreated,
+            category: item.reportInfo && item.reportInfo.type
+        })
+    },
+    media: {
+        model: Media,
+        filter: {},
+        fields: [
+            { path: 'title', weight: 1 }
+        ],
+        localPath: LOCAL_PATHS.media,
+        localKey: 'media',
+        describe: (item) => ({
+            date: item.dateUploaded,
+            category: item.type
+        })
+    }
+};
+
+function getPath(item, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+// Field values may be strings or arrays of strings (noticeDetails)
+function fieldText(item, path) {
+    const value = getPath(item, path);
+    if (Array.isArray(value)) return value.join(' ');
+    return value ? String(value) : '';
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a query into lowercase search terms
+function tokenize(query) {
+    return [...new Set(
+        String(query)
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    )];
+}
+
+// Matches whole words that start with one of the terms, a rough stand-in for stemming
+function termPattern(terms) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Highlighted text is HTML: the stored text is escaped and only the <mark> tags are markup
+function highlight(text, terms) {
+    if (!text) return text;
+    if (terms.length === 0) return escapeHtml(text);
+
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(termPattern(terms))) {
+        result += escapeHtml(text.slice(last, match.index)) + HIGHLIGHT_OPEN + escapeHtml(match[0]) + HIGHLIGHT_CLOSE;
+        last = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.slice(last));
+}
+
+// Cut a window of text around the first match and highlight every match inside it
+function buildSnippet(text, terms) {
+    if (!text) return '';
+
+    const match = terms.length > 0 ? termPattern(terms).exec(text) : null;
+    const matchIndex = match ? match.index : 0;
+    const start = Math.max(0, Math.min(matchIndex - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    let snippet = text.slice(start, end);
+    if (start > 0) snippet = '...' + snippet;
+    if (end < text.length) snippet = snippet + '...';
+
+    return highlight(snippet, terms);
+}
+
+function toResult(type, item, score, terms) {
+    const config = SEARCH_TYPES[type];
+    const [titleField, bodyField] = config.fields;
+    const title = fieldText(item, titleField.path);
+
+    return {
+        type,
+        id: item.id || (item._id && item._id.toString()),
+        title,
+        highlightedTitle: highlight(title, terms),
+        snippet: buildSnippet(bodyField ? fieldText(item, bodyField.path) : title, terms),
+        score: Math.round(score * 1000) / 1000,
+        ...config.describe(item)
+    };
+}
+
+// Local scoring: weighted count of matching words per field, normalised by field length
+function scoreLocalItem(item, fields, terms) {
+    let score = 0;
+    for (const { path, weight } of fields) {
+        const text = fieldText(item, path);
+        if (!text) continue;
+
+        const matches = text.match(termPattern(terms));
+        if (matches) {
+            const words = text.split(/\s+/).length;
+            score += weight * matches.length * (1 + 1 / words);
+        }
+    }
+    return score;
+}
+
+// Whether a local record matches a query the way the text index would, for filters applied to
+// the local copies while the database is offline. An empty query matches everything.
+function matchesLocalSearch(type, item, query) {
+    const terms = tokenize(query);
+    return terms.length === 0 || scoreLocalItem(item, SEARCH_TYPES[type].fields, terms) > 0;
+}
+
+async function searchDatabaseType(type, query, terms, limit) {
+    const config = SEARCH_TYPES[type];
+    const filter = { ...config.filter, $text: { $search: query } };
+
+    const [docs, total] = await Promise.all([
+        config.model.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit)
+            .lean(),
+        config.model.countDocuments(filter)
+    ]);
+
+    return {
+        total,
+        results: docs.map(doc => toResult(type, doc, doc.score, terms))
+    };
+}
+
+async function searchLocalType(type, terms, limit) {
+    const config = SEARCH_TYPES[type];
+    let items = [];
+
+    try {
+        const data = JSON.parse(await fs.readFile(config.localPath, 'utf8'));
+        items = data[config.localKey] || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading local ${type}:`, error);
+        }
+    }
+
+    if (type === 'notices') {
+        items = items.filter(item => item.status !== NoticeStatus.DRAFT);
+    }
+
+    const scored = items
+        .map(item => ({ item, score: scoreLocalItem(item, config.fields, terms) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    return {
+        total: scored.length,
+        results: scored.slice(0, limit).map(entry => toResult(type, entry.item, entry.score, terms))
+    };
+}
+
+/**
+ * Ranked search across notices, reports and media.
+ * Uses the MongoDB text indexes when connected (or unless source is 'local'),
+ * otherwise searches the local_*.json copies with the same weights.
+ */
+async function search(query, { types = Object.keys(SEARCH_TYPES), limit = 20, source } = {}) {
+    const terms = tokenize(query);
+    const useLocal = source === 'local' || mongoose.connection.readyState !== 1;
+    const facets = {};
+    let results = [];
+
+    if (terms.length > 0) {
+        for (const type of types) {
+            const found = useLocal
+                ? await searchLocalType(type, terms, limit)
+                : await searchDatabaseType(type, query, terms, limit);
+
+            facets[type] = found.total;
+            results = results.concat(found.results);
+        }
+    } else {
+        types.forEach(type => { facets[type] = 0; });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+
+    return {
+        query,
+        terms,
+        source: useLocal ? 'local' : 'database',
+        total: Object.values(facets).reduce((sum, count) => sum + count, 0),
+        facets,
+        results: results.slice(0, limit)
+    };
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    search,
+    tokenize,
+    escapeRegExp,
+    matchesLocalSearch
+};